@@ -106,12 +106,14 @@ router.post('/register', registerValidation, async (req, res) => {
         // 5. Create a session for the new user
         req.session.userId = userId;
         req.session.username = username;
+        req.session.roles = ['user'];
         // 6. Return success response
         res.status(201).json({
             message: 'User registered successfully',
             user: {
                 id: userId,
-                username
+                username,
+                role: 'user'
             }
         });
     } catch (error) {
@@ -161,14 +163,18 @@ router.post('/login', loginValidation, async (req, res) => {
             });
         }
         // 3. Create session if authentication succeeds
+        // the role is read once here (requireRole checks req.session.roles),
+        // so a changed role applies from the next login
         req.session.userId = user.id;
         req.session.username = user.username;
+        req.session.roles = [user.role];
         // 4. Return user data
         res.json({
             message: 'Login successful',
             user: {
                 id: user.id,
-                username: user.username
+                username: user.username,
+                role: user.role
             }
         });
     } catch (error) {
@@ -227,6 +233,7 @@ router.get('/me', requireAuth, async (req, res) => {
             user: {
                 id: user.id,
                 username: user.username,
+                role: user.role,
                 created_at: user.created_at
             }
         });
@@ -1,19 +1,63 @@
 // Book management routes and public statistics
 
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const multer = require('multer');
+const { body, validationResult, param, query } = require('express-validator');
 
 // Import database functions
 const {
     createBook,
     getBooksByUserId,
+    countBooksByUserId,
     getBookById,
     updateBook,
+    patchBook,
     deleteBook,
+    findDuplicateBooks,
+    mergeBooks,
+    applyBulkAction,
+    getDeletedBooksByUserId,
+    getDeletedBookById,
+    restoreBook,
+    purgeBook,
+    emptyTrash,
     getPublicBookStats,
-    searchPublicBooks
+    searchPublicBooks,
+    recordReadingProgress,
+    getReadingProgress,
+    getReadingSessions,
+    getReadingSessionById,
+    createReadingSession,
+    updateReadingSession,
+    deleteReadingSession,
+    importBooks,
+    getBookRevisions,
+    getBookRevisionById,
+    revertBookToRevision,
+    getShelvesByUserId,
+    getShelfById,
+    withTransaction,
+    BOOK_SORT_FIELDS
 } = require('../utils/db');
 
+// Import validation helpers
+const {
+    validateBookRating,
+    validateBookReview,
+    validateTagName,
+    validateBookData,
+    assertValid,
+    MAX_TAGS_PER_BOOK
+} = require('../utils/validation');
+
+// Import helpers for library imports
+const { parseCsvRecords } = require('../utils/csv');
+const { REQUIRED_COLUMNS, mapGoodreadsRecord } = require('../utils/goodreads');
+const { EXPORT_FORMATS } = require('../utils/export');
+const { TRASH_RETENTION_DAYS } = require('../utils/trash');
+const { mergeNotes } = require('../utils/matching');
+const { PUBLIC_STATS_MIN_READERS } = require('../utils/privacy');
+
 // Import authentication middleware
 const { requireAuth } = require('../middleware/auth');
 
@@ -35,11 +79,26 @@ const bookValidation = [
         .isLength({ max: 255 })
         .withMessage('Author name must not exceed 255 characters'),
 
-    body('genre')
+    // tags replace the old single genre field
+    body('tags')
         .optional()
-        .trim()
-        .isLength({ max: 100 })
-        .withMessage('Genre must not exceed 100 characters'),
+        .isArray({ max: MAX_TAGS_PER_BOOK })
+        .withMessage(`Tags must be a list of at most ${MAX_TAGS_PER_BOOK} names`),
+
+    body('tags.*')
+        .custom(value => assertValid(validateTagName(value)))
+        .customSanitizer(value => validateTagName(value).sanitised),
+
+    // IDs of the user's shelves the book should be on
+    body('shelf_ids')
+        .optional()
+        .isArray()
+        .withMessage('Shelf IDs must be a list'),
+
+    body('shelf_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Shelf IDs must be positive integers')
+        .toInt(),
 
     body('status')
         .optional()
@@ -50,7 +109,100 @@ const bookValidation = [
         .optional()
         .trim()
         .isLength({ max: 1000 })
-        .withMessage('Notes must not exceed 1000 characters')
+        .withMessage('Notes must not exceed 1000 characters'),
+
+    // metadata, usually filled in from Google Books
+    // empty strings and nulls are treated as "not provided"
+    body('isbn')
+        .optional({ nullable: true, checkFalsy: true })
+        .customSanitizer(value => String(value).replace(/[-\s]/g, '').toUpperCase())
+        .matches(/^(\d{9}[\dX]|\d{13})$/)
+        .withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+
+    body('page_count')
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1, max: 100000 })
+        .withMessage('Page count must be a positive whole number')
+        .toInt(),
+
+    body('cover_url')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Cover must be an http(s) URL')
+        .isLength({ max: 500 })
+        .withMessage('Cover URL must not exceed 500 characters'),
+
+    body('published_date')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^\d{4}(-\d{2}(-\d{2})?)?$/)
+        .withMessage('Published date must be YYYY, YYYY-MM or YYYY-MM-DD'),
+
+    body('language')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .matches(/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})?$/)
+        .withMessage('Language must be a language code such as "en" or "pt-BR"'),
+
+    body('google_books_id')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Google Books ID must not exceed 50 characters'),
+
+    // rating (1-5 in half stars) and long-form review, checked by utils/validation
+    body('rating')
+        .optional({ nullable: true })
+        .custom(value => assertValid(validateBookRating(value)))
+        .customSanitizer(value => validateBookRating(value).sanitised),
+
+    body('review')
+        .optional({ nullable: true })
+        .custom(value => assertValid(validateBookReview(value)))
+        .customSanitizer(value => validateBookReview(value).sanitised)
+];
+
+// validation for creating books: the book fields, plus allow_duplicate to add
+// a book even though it looks like one already in the library
+const bookCreateValidation = [
+    ...bookValidation,
+
+    body('allow_duplicate')
+        .optional()
+        .isBoolean()
+        .withMessage('allow_duplicate must be true or false')
+        .toBoolean()
+];
+
+// fields a partial update (PATCH) can change
+const BOOK_PATCH_FIELDS = [
+    'title', 'author', 'tags', 'shelf_ids', 'status', 'notes',
+    'isbn', 'page_count', 'cover_url', 'published_date', 'language', 'google_books_id',
+    'rating', 'review'
+];
+
+// validation for partial updates: the same rules as bookValidation, but the
+// title is only checked when it is sent, and at least one field must be sent
+const bookPatchValidation = [
+    body('title')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Title cannot be empty')
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Title must be between 1 and 255 characters'),
+
+    // everything after the title rule is already optional
+    ...bookValidation.slice(1),
+
+    body()
+        .custom((value) => {
+            if (!BOOK_PATCH_FIELDS.some(field => value[field] !== undefined)) {
+                throw new Error(`Provide at least one of: ${BOOK_PATCH_FIELDS.join(', ')}`);
+            }
+            return true;
+        })
 ];
 
 // validation for book ID parameter
@@ -60,15 +212,259 @@ const bookIdValidation = [
         .withMessage('Book ID must be a positive integer')
 ];
 
+// validation for reading progress updates
+// either a page number or a percentage must be provided
+const progressValidation = [
+    body('page')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 100000 })
+        .withMessage('Page must be a whole number of 0 or more')
+        .toInt(),
+
+    body('percent')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Percent must be between 0 and 100')
+        .toFloat(),
+
+    body()
+        .custom((value) => {
+            const hasPage = value.page !== undefined && value.page !== null;
+            const hasPercent = value.percent !== undefined && value.percent !== null;
+            if (hasPage === hasPercent) {
+                throw new Error('Provide either page or percent');
+            }
+            return true;
+        })
+];
+
+// validation for reading session dates (ISO 8601 dates or date-times)
+// at least one date is required and a session cannot finish before it starts
+const sessionValidation = [
+    body('started_at')
+        .optional({ nullable: true, checkFalsy: true })
+        .isISO8601()
+        .withMessage('Start date must be a valid ISO 8601 date'),
+
+    body('finished_at')
+        .optional({ nullable: true, checkFalsy: true })
+        .isISO8601()
+        .withMessage('Finish date must be a valid ISO 8601 date'),
+
+    body()
+        .custom((value) => {
+            if (!value.started_at && !value.finished_at) {
+                throw new Error('Provide started_at, finished_at or both');
+            }
+            if (value.started_at && value.finished_at &&
+                new Date(value.finished_at) < new Date(value.started_at)) {
+                throw new Error('A session cannot finish before it starts');
+            }
+            return true;
+        })
+];
+
+// validation for reading session ID parameter
+const sessionIdValidation = [
+    param('sessionId')
+        .isInt({ min: 1 })
+        .withMessage('Session ID must be a positive integer')
+];
+
+// validation for book revision ID parameter
+const revisionIdValidation = [
+    param('revisionId')
+        .isInt({ min: 1 })
+        .withMessage('Revision ID must be a positive integer')
+];
+
+// validation for merging another book into one
+const mergeValidation = [
+    body('source_id')
+        .isInt({ min: 1 })
+        .withMessage('Source book ID must be a positive integer')
+        .toInt()
+];
+
+// library imports are read into memory, one CSV file per request
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 }
+}).single('file');
+
+// actions the bulk endpoint can apply, and how many books it takes at once
+const BULK_ACTIONS = ['set_status', 'add_tag', 'remove_tag', 'move_to_shelf', 'delete'];
+const MAX_BULK_BOOKS = 500;
+
+// validation for bulk actions
+// the extra field each action needs is only checked for that action
+const bulkValidation = [
+    body('book_ids')
+        .isArray({ min: 1, max: MAX_BULK_BOOKS })
+        .withMessage(`book_ids must be a list of 1 to ${MAX_BULK_BOOKS} book IDs`),
+
+    body('book_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Book IDs must be positive integers')
+        .toInt(),
+
+    body('action')
+        .isIn(BULK_ACTIONS)
+        .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+
+    body('status')
+        .if(body('action').equals('set_status'))
+        .isIn(['to-read', 'reading', 'read'])
+        .withMessage('Status must be one of: to-read, reading, read'),
+
+    body('tag')
+        .if(body('action').isIn(['add_tag', 'remove_tag']))
+        .custom(value => assertValid(validateTagName(value)))
+        .customSanitizer(value => validateTagName(value).sanitised),
+
+    body('shelf_id')
+        .if(body('action').equals('move_to_shelf'))
+        .isInt({ min: 1 })
+        .withMessage('Shelf ID must be a positive integer')
+        .toInt(),
+
+    // the shelf the books are being moved off, if any
+    body('from_shelf_id')
+        .if(body('action').equals('move_to_shelf'))
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Shelf ID must be a positive integer')
+        .toInt()
+];
+
+// orderings supported by the public search
+const PUBLIC_SEARCH_SORTS = ['relevance', 'popularity', 'title', 'rating'];
+
+// paging defaults for the public search
+const DEFAULT_PUBLIC_SEARCH_PAGE_SIZE = 20;
+const MAX_PUBLIC_SEARCH_PAGE_SIZE = 50;
+
+// paging defaults for the personal book list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// books are read from the database in batches of this size when exporting
+const EXPORT_BATCH_SIZE = 200;
+
+// validation for the filters and sort shared by the book list and export
+// sort is a comma separated list of fields, prefix with - for descending
+// e.g. ?sort=status,-updated_at
+const bookFilterValidation = [
+    query('status')
+        .optional()
+        .isIn(['to-read', 'reading', 'read'])
+        .withMessage('Status must be one of: to-read, reading, read'),
+
+    // one tag, or several separated by commas (books must have all of them)
+    query('tag')
+        .optional()
+        .isString()
+        .withMessage('Tag must be a comma separated list of tag names')
+        .isLength({ max: 500 })
+        .withMessage('Tag filter must not exceed 500 characters'),
+
+    query('shelf')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Shelf must be a shelf ID')
+        .toInt(),
+
+    query('search')
+        .optional()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Search must not exceed 255 characters'),
+
+    query('sort')
+        .optional()
+        .custom((value) => {
+            parseSortParam(value);
+            return true;
+        })
+];
+
+// validation for book list query parameters (filters plus paging)
+const bookListValidation = [
+    ...bookFilterValidation,
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+        .toInt()
+];
+
+// validation for library exports (filters plus the output format)
+const bookExportValidation = [
+    ...bookFilterValidation,
+
+    query('format')
+        .optional()
+        .isIn(Object.keys(EXPORT_FORMATS))
+        .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+];
+
+// validation for the public search query parameters
+const publicSearchValidation = [
+    query('q')
+        .trim()
+        .isLength({ min: 2 })
+        .withMessage('Search query must be at least 2 characters long')
+        .isLength({ max: 255 })
+        .withMessage('Search query must not exceed 255 characters'),
+
+    query('tag')
+        .optional()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Tag must not exceed 255 characters'),
+
+    query('author')
+        .optional()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Author must not exceed 255 characters'),
+
+    query('sort')
+        .optional()
+        .isIn(PUBLIC_SEARCH_SORTS)
+        .withMessage(`Sort must be one of: ${PUBLIC_SEARCH_SORTS.join(', ')}`),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PUBLIC_SEARCH_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_PUBLIC_SEARCH_PAGE_SIZE}`)
+        .toInt()
+];
+
 // public routes (no authentication required)
 
 // GET /api/books/public
 // get anonymised book statistics across all users
 // returns data like:
 // - most popular books (by times added)
-// - most popular genres
+// - most popular tags
 // - reading status distribution
 // - top authors
+// only entries shared by at least min_readers readers are included
 router.get('/public', async (req, res) => {
     try {
         // get aggregated, anonymised statistics
@@ -76,11 +472,12 @@ router.get('/public', async (req, res) => {
 
         res.json({
             popular_books: stats.popular_books,
-            popular_genres: stats.popular_genres,
+            popular_tags: stats.popular_tags,
             popular_authors: stats.popular_authors,
             reading_status_distribution: stats.status_distribution,
             total_books: stats.total_books,
-            total_users: stats.total_users
+            total_users: stats.total_users,
+            min_readers: PUBLIC_STATS_MIN_READERS
         });
 
     } catch (error) {
@@ -94,26 +491,51 @@ router.get('/public', async (req, res) => {
 // GET /api/books/public/search
 // search for books across all users (anonymised results)
 // query parameters:
-// - q: search query
-// - genre: filter by genre
-router.get('/public/search', async (req, res) => {
+// - q: search query (words match as prefixes, "quoted text" as a phrase)
+// - tag, author: only books with this tag or by this author
+// - sort: relevance (default), popularity, title or rating
+// - page, limit: offset pagination (defaults to page 1, 20 per page)
+// facets counts the matching books per tag and per author (the ten most
+// common of each), for narrowing the search down
+router.get('/public/search', publicSearchValidation, async (req, res) => {
     try {
-        const { q: query, genre } = req.query;
-
-        if (!query || query.trim().length < 2) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
-                error: 'Search query must be at least 2 characters long'
+                error: 'Validation failed',
+                details: errors.array()
             });
         }
 
-        // Search books with optional genre filter
-        const searchResults = await searchPublicBooks(query.trim(), { genre });
+        const { q: query, tag, author, sort = 'relevance' } = req.query;
+        const page = req.query.page || 1;
+        const limit = req.query.limit || DEFAULT_PUBLIC_SEARCH_PAGE_SIZE;
+
+        // Search books with the optional tag and author filters
+        const search = await searchPublicBooks(
+            query,
+            { tag, author },
+            { sort, limit, offset: (page - 1) * limit }
+        );
+
+        const totalPages = Math.max(1, Math.ceil(search.total / limit));
 
         res.json({
             query: query,
-            filters: { genre: genre || null },
-            results: searchResults,
-            count: searchResults.length
+            filters: { tag: tag || null, author: author || null },
+            sort,
+            results: search.results,
+            count: search.results.length,
+            facets: search.facets,
+            pagination: {
+                page,
+                limit,
+                total: search.total,
+                total_pages: totalPages,
+                has_more: page < totalPages,
+                next: page < totalPages ? buildPageLink(req, page + 1) : null,
+                prev: page > 1 ? buildPageLink(req, Math.min(page - 1, totalPages)) : null
+            }
         });
 
     } catch (error) {
@@ -126,6 +548,178 @@ router.get('/public/search', async (req, res) => {
 
 // authenticated routes (require login)
 
+// GET /api/books/export
+// download the user's library, streamed in batches so large libraries
+// never sit in memory in full
+// query parameters:
+// - format: csv (default), json or goodreads (a Goodreads-compatible CSV)
+// - status, tag, shelf, search, sort: same as GET /api/books
+router.get('/export', requireAuth, bookExportValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+
+    const userId = req.session.userId;
+    const format = EXPORT_FORMATS[req.query.format || 'csv'];
+    const filters = buildListFilters(req.query);
+    const sort = parseSortParam(req.query.sort);
+
+    try {
+        const shelves = await getShelvesByUserId(userId);
+        const shelfNamesById = new Map(shelves.map(shelf => [shelf.id, shelf.name]));
+
+        // stop reading from the database if the download is abandoned
+        let aborted = false;
+        res.on('close', () => {
+            aborted = !res.writableFinished;
+        });
+
+        res.status(200);
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="${format.filename(new Date().toISOString().slice(0, 10))}"`,
+            'Cache-Control': 'no-store'
+        });
+        await writeChunk(res, format.header());
+
+        let index = 0;
+        for (let offset = 0; !aborted; offset += EXPORT_BATCH_SIZE) {
+            const books = await getBooksByUserId(userId, filters, {
+                sort,
+                limit: EXPORT_BATCH_SIZE,
+                offset
+            });
+
+            for (const book of books) {
+                const shelfNames = book.shelf_ids.map(id => shelfNamesById.get(id)).filter(Boolean);
+                await writeChunk(res, format.row(book, { index, shelfNames }));
+                index += 1;
+            }
+
+            if (books.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        res.end(format.footer());
+    } catch (error) {
+        console.error('Error exporting books:', error);
+
+        // once the download has started the status can't change, so cut it short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            error: 'Internal server error exporting books'
+        });
+    }
+});
+
+// GET /api/books/trash
+// list the user's deleted books, most recently deleted first
+// retention_days says how long they are kept before being purged (0 = until purged by hand)
+router.get('/trash', requireAuth, async (req, res) => {
+    try {
+        const books = await getDeletedBooksByUserId(req.session.userId);
+        res.json({ books, retention_days: TRASH_RETENTION_DAYS });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching trash'
+        });
+    }
+});
+
+// DELETE /api/books/trash
+// permanently delete every book in the user's trash
+router.delete('/trash', requireAuth, async (req, res) => {
+    try {
+        const purged = await emptyTrash(req.session.userId);
+        res.json({
+            message: 'Trash emptied',
+            purged
+        });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({
+            error: 'Internal server error emptying trash'
+        });
+    }
+});
+
+// POST /api/books/trash/:id/restore
+// take a deleted book out of the trash and back into the library
+router.post('/trash/:id/restore', requireAuth, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+
+        const ownership = await validateDeletedBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const book = await withTransaction(async () => {
+            await restoreBook(bookId);
+            return getBookById(bookId);
+        });
+
+        res.json({
+            message: 'Book restored successfully',
+            book
+        });
+    } catch (error) {
+        console.error('Error restoring book:', error);
+        res.status(500).json({
+            error: 'Internal server error restoring book'
+        });
+    }
+});
+
+// DELETE /api/books/trash/:id
+// permanently delete a book from the trash (there is no undo)
+router.delete('/trash/:id', requireAuth, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+
+        const ownership = await validateDeletedBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        await purgeBook(bookId);
+
+        res.json({
+            message: 'Book permanently deleted',
+            purgedBookId: bookId
+        });
+    } catch (error) {
+        console.error('Error purging book:', error);
+        res.status(500).json({
+            error: 'Internal server error purging book'
+        });
+    }
+});
+
 // GET /api/books/:id
 // get a specific book by ID (only if it belongs to the authenticated user)
 router.get('/:id', requireAuth, bookIdValidation, async (req, res) => {
@@ -152,6 +746,8 @@ router.get('/:id', requireAuth, bookIdValidation, async (req, res) => {
         return res.status(403).json({ error: 'Access denied: This book belongs to another user' });
         }
         // 3. Return book data or 404 if not found/not owned
+        // the ETag carries the book's version, for If-Match on updates
+        setBookETag(res, book);
         res.json({ book });
     } catch (error) {
         console.error('Error fetching book:', error);
@@ -161,14 +757,55 @@ router.get('/:id', requireAuth, bookIdValidation, async (req, res) => {
     }
 });
 
-// GET /api/books - Fetch all books for authenticated user
-router.get('/', requireAuth, async (req, res) => {
+// GET /api/books - Fetch a page of books for authenticated user
+// query parameters:
+// - status: filter by reading status
+// - search: full-text search over title, author and notes (words match as
+//   prefixes, "quoted text" as a phrase); results are best match first unless
+//   sorted and carry a highlighted snippet
+// - tag: tag name, or comma separated names the books must all have
+// - shelf: only books on this shelf
+// - sort: comma separated fields (title, author, status, created_at, updated_at)
+// - page, limit: offset pagination (defaults to page 1, 20 per page)
+router.get('/', requireAuth, bookListValidation, async (req, res) => {
   try {
-    // get books from database using the user's ID from session
-    const books = await getBooksByUserId(req.session.userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.session.userId;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    const filters = buildListFilters(req.query);
+    const sort = parseSortParam(req.query.sort);
+
+    // get the requested page and the total matching count
+    const [books, total] = await Promise.all([
+      getBooksByUserId(userId, filters, { sort, limit, offset: (page - 1) * limit }),
+      countBooksByUserId(userId, filters)
+    ]);
+
+    const totalPages = Math.max(1, Math.ceil(total / limit));
 
     // always return an array (empty if no books) to prevent undefined errors
-    res.json({ books: books || [] });
+    res.json({
+      books: books || [],
+      filters,
+      sort: req.query.sort || null,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: totalPages,
+        has_more: page < totalPages,
+        next: page < totalPages ? buildPageLink(req, page + 1) : null,
+        prev: page > 1 ? buildPageLink(req, Math.min(page - 1, totalPages)) : null
+      }
+    });
 
   } catch (error) {
     // proper error handling instead of 501 placeholder
@@ -185,31 +822,41 @@ router.get('/', requireAuth, async (req, res) => {
 
 router.post('/',
   requireAuth,
-  bookValidation,
+  bookCreateValidation,
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const bookData = sanitiseBookData(req.body);
+
+      // looks like a book already in the library: list the matches and let
+      // the client send it again with allow_duplicate if it really is new
+      if (!req.body.allow_duplicate) {
+        const duplicates = await findDuplicateBooks(req.session.userId, bookData);
+        if (duplicates.length > 0) {
+          return res.status(409).json({
+            error: 'This book looks like one already in your library',
+            duplicates
+          });
+        }
+      }
+
       // create book 
       const book = await createBook({
-        title: req.body.title,        // Required
-        author: req.body.author || null,  // Explicit default
-        genre: req.body.genre || null,
-        status: req.body.status || 'to-read',
-        notes: req.body.notes || null,
+        ...bookData,
         user_id: req.session.userId    // Critical
       });
 
-      // return ALL fields with consistent structure
-      console.log('📘 Book created:', book);
-      res.status(201).json({
-        id: book.id,                  // MUST include
-        title: book.title,
-        author: book.author,
-        genre: book.genre,
-        status: book.status,
-        notes: book.notes,
-        user_id: book.user_id,
-        created_at: book.created_at
-      });
+      // the whole book, with its version as the ETag like GET /api/books/:id,
+      // so the next edit can be sent with If-Match
+      setBookETag(res, book);
+      res.status(201).json(book);
 
     } catch (error) {
       if (error.name === 'ValidationError') {
@@ -229,47 +876,257 @@ router.post('/',
     }
 });
 
-// PUT /api/books/:id
-// update a specific book (only if it belongs to the authenticated user)
-// expected body: same as POST /api/books
-router.put('/:id', requireAuth, bookIdValidation, bookValidation, async (req, res) => {
+// POST /api/books/import/goodreads
+// import a Goodreads library export (multipart/form-data, CSV in the "file" field)
+// the whole import runs in one transaction and books already in the library
+// are skipped, so uploading the same file again changes nothing.
+// responds with a report of every row: created, duplicate or rejected
+router.post('/import/goodreads', requireAuth, (req, res, next) => {
+    importUpload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({
+                error: err.code === 'LIMIT_FILE_SIZE'
+                    ? `File must not exceed ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`
+                    : `Upload failed: ${err.message}`
+            });
+        }
+        next(err);
+    });
+}, async (req, res) => {
     try {
-        // Check for validation errors
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
+        if (!req.file) {
             return res.status(400).json({
-                error: 'Validation failed',
-                details: errors.array()
+                error: 'Attach the Goodreads CSV export as the "file" field'
             });
         }
 
-        const userId = req.session.userId;
-        const bookId = parseInt(req.params.id);
-        const { title, author, genre, status, notes } = req.body;
-
-        // check if book exists and belongs to user
-        const existingBook = await getBookById(bookId);
-        if (!existingBook) {
-            return res.status(404).json({ error: 'Book not found' });
+        const { columns, records } = parseCsvRecords(req.file.buffer.toString('utf8'));
+        const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+        if (missingColumns.length > 0) {
+            return res.status(400).json({
+                error: 'This does not look like a Goodreads library export',
+                details: `Missing columns: ${missingColumns.join(', ')}`
+            });
+        }
+
+        // validate every row first, only valid ones go to the database
+        const report = [];
+        const entries = [];
+
+        records.forEach(record => {
+            const { bookData, warnings, ...dates } = mapGoodreadsRecord(record);
+            const validation = validateBookData(bookData);
+            const row = {
+                row: record._row,
+                title: record['Title'],
+                author: record['Author']
+            };
+
+            if (!validation.isValid) {
+                report.push({ ...row, status: 'rejected', errors: validation.errors });
+                return;
+            }
+
+            const entry = { ...row, status: null, ...(warnings.length > 0 && { warnings }) };
+            report.push(entry);
+            entries.push({ entry, bookData: validation.sanitised, ...dates });
+        });
+
+        const results = await importBooks(req.session.userId, entries);
+        results.forEach(({ status, book_id }, index) => {
+            Object.assign(entries[index].entry, { status, book_id });
+        });
+
+        const summary = { total: report.length, created: 0, duplicate: 0, rejected: 0 };
+        report.forEach(({ status }) => {
+            summary[status] += 1;
+        });
+
+        res.json({
+            message: `Imported ${summary.created} of ${summary.total} book(s)`,
+            summary,
+            rows: report
+        });
+    } catch (error) {
+        console.error('Error importing Goodreads library:', error);
+        res.status(500).json({
+            error: 'Internal server error importing books, nothing was imported'
+        });
+    }
+});
+
+// POST /api/books/bulk
+// apply one action to many books at once
+// expected body: { "book_ids": [1, 2, 3], "action": "set_status", "status": "read" }
+// actions: set_status (status), add_tag / remove_tag (tag),
+// move_to_shelf (shelf_id, and from_shelf_id to take the books off another shelf)
+// and delete. every book must belong to the user, otherwise nothing is changed
+router.post('/bulk', requireAuth, bulkValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const bookIds = [...new Set(req.body.book_ids)];
+        const { action } = req.body;
+
+        for (const bookId of bookIds) {
+            const ownership = await validateBookOwnership(bookId, userId);
+            if (!ownership.valid) {
+                return res.status(ownership.status).json({ error: ownership.error, bookId });
+            }
+        }
+
+        if (action === 'move_to_shelf') {
+            for (const shelfId of [req.body.shelf_id, req.body.from_shelf_id].filter(Boolean)) {
+                const shelf = await getShelfById(shelfId);
+                if (!shelf || shelf.user_id !== userId) {
+                    return res.status(404).json({ error: 'Shelf not found', shelfId });
+                }
+            }
+        }
+
+        const changed = await applyBulkAction(userId, bookIds, {
+            type: action,
+            status: req.body.status,
+            tag: req.body.tag,
+            shelfId: req.body.shelf_id,
+            fromShelfId: req.body.from_shelf_id || null
+        });
+
+        res.json({
+            message: action === 'delete'
+                ? `${changed} book(s) moved to trash`
+                : `${changed} book(s) updated`,
+            action,
+            book_ids: bookIds,
+            changed
+        });
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        res.status(500).json({
+            error: 'Internal server error applying bulk action'
+        });
+    }
+});
+
+// PUT /api/books/:id
+// update a specific book (only if it belongs to the authenticated user)
+// expected body: same as POST /api/books
+router.put('/:id', requireAuth, bookIdValidation, bookValidation, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const bookId = parseInt(req.params.id);
+
+        // check if book exists and belongs to user
+        const existingBook = await getBookById(bookId);
+        if (!existingBook) {
+            return res.status(404).json({ error: 'Book not found' });
         }
         if (existingBook.user_id !== userId) {
             return res.status(403).json({ error: 'Access denied: This book belongs to another user' });
         }
         // update book data in database
-        const updateData = {
-            title: title.trim(),
-            author: author ? author.trim() : null,
-            genre: genre ? genre.trim() : null,
-            status,
-            notes: notes ? notes.trim() : null
-        };
-        // return updated book data
-        await updateBook(bookId, updateData);
-        const updatedBook = await getBookById(bookId);
+        const updateData = sanitiseBookData(req.body);
+        const result = await updateWithVersionCheck(
+            bookId,
+            parseIfMatch(req.get('If-Match')),
+            options => updateBook(bookId, updateData, options)
+        );
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        setBookETag(res, result.book);
+
+        // changed since the client loaded it: send the current copy so the
+        // user can choose which version to keep
+        if (result.conflict) {
+            return res.status(412).json({
+                error: 'Book has been changed since it was loaded',
+                book: result.book
+            });
+        }
 
         res.json({
             message: 'Book updated successfully',
-            book: updatedBook
+            book: result.book
+        });
+    } catch (error) {
+        console.error('Error updating book:', error);
+        res.status(500).json({
+            error: 'Internal server error updating book'
+        });
+    }
+});
+
+// PATCH /api/books/:id
+// update some fields of a book (only if it belongs to the authenticated user)
+// expected body: any of the POST /api/books fields; fields left out keep
+// their current values
+router.patch('/:id', requireAuth, bookIdValidation, bookPatchValidation, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const bookId = parseInt(req.params.id);
+
+        // check if book exists and belongs to user
+        const existingBook = await getBookById(bookId);
+        if (!existingBook) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+        if (existingBook.user_id !== userId) {
+            return res.status(403).json({ error: 'Access denied: This book belongs to another user' });
+        }
+        // apply only the fields that were sent
+        const changes = sanitisePatchData(req.body);
+        const result = await updateWithVersionCheck(
+            bookId,
+            parseIfMatch(req.get('If-Match')),
+            options => patchBook(bookId, changes, options)
+        );
+
+        if (result.notFound) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        setBookETag(res, result.book);
+
+        // changed since the client loaded it: send the current copy so the
+        // user can choose which version to keep
+        if (result.conflict) {
+            return res.status(412).json({
+                error: 'Book has been changed since it was loaded',
+                book: result.book
+            });
+        }
+
+        res.json({
+            message: 'Book updated successfully',
+            book: result.book
         });
     } catch (error) {
         console.error('Error updating book:', error);
@@ -280,7 +1137,8 @@ router.put('/:id', requireAuth, bookIdValidation, bookValidation, async (req, re
 });
 
 // DELETE /api/books/:id
-// delete a specific book (only if it belongs to the authenticated user)
+// move a book to the trash (only if it belongs to the authenticated user)
+// it can be restored from there until it is purged
 router.delete('/:id', requireAuth, bookIdValidation, async (req, res) => {
     try {
         // Check for validation errors
@@ -305,11 +1163,11 @@ router.delete('/:id', requireAuth, bookIdValidation, async (req, res) => {
         if (book.user_id !== userId) {
             return res.status(403).json({ error: 'Access denied: This book belongs to another user' });
         }
-        // delete book from database
+        // move the book to the trash
         await deleteBook(bookId);
         // return success message
         res.json({
-            message: 'Book deleted successfully',
+            message: 'Book moved to trash',
             deletedBookId: bookId
         });
     } catch (error) {
@@ -320,6 +1178,398 @@ router.delete('/:id', requireAuth, bookIdValidation, async (req, res) => {
     }
 });
 
+// GET /api/books/:id/progress
+// get the timestamped reading progress log for a book
+router.get('/:id/progress', requireAuth, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const progress = await getReadingProgress(bookId);
+
+        res.json({
+            book_id: bookId,
+            current_page: ownership.book.current_page,
+            progress_percent: ownership.book.progress_percent,
+            progress
+        });
+    } catch (error) {
+        console.error('Error fetching reading progress:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching reading progress'
+        });
+    }
+});
+
+// POST /api/books/:id/progress
+// record reading progress for a book
+// expected body: { "page": 120 } or { "percent": 45 }
+// reaching the last page (or 100%) marks the book as read
+router.post('/:id/progress', requireAuth, bookIdValidation, progressValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const { page, percent } = req.body;
+        const pageCount = ownership.book.page_count;
+
+        if (page !== undefined && page !== null && pageCount && page > pageCount) {
+            return res.status(400).json({
+                error: `Page cannot be greater than the book's page count (${pageCount})`
+            });
+        }
+
+        const book = await recordReadingProgress(bookId, { page, percent });
+
+        res.status(201).json({
+            message: book.status === 'read' && ownership.book.status !== 'read'
+                ? 'Progress recorded, book marked as read'
+                : 'Progress recorded',
+            book
+        });
+    } catch (error) {
+        console.error('Error recording reading progress:', error);
+        res.status(500).json({
+            error: 'Internal server error recording reading progress'
+        });
+    }
+});
+
+// GET /api/books/:id/sessions
+// get every read of a book (start/finish dates), most recent first
+router.get('/:id/sessions', requireAuth, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const sessions = await getReadingSessions(bookId);
+
+        res.json({
+            book_id: bookId,
+            read_count: sessions.filter(session => session.finished_at).length,
+            sessions
+        });
+    } catch (error) {
+        console.error('Error fetching reading sessions:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching reading sessions'
+        });
+    }
+});
+
+// POST /api/books/:id/sessions
+// add a read manually, e.g. one from before the book was in the app
+// expected body: { "started_at": "2024-01-02", "finished_at": "2024-02-10" }
+router.post('/:id/sessions', requireAuth, bookIdValidation, sessionValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const session = await createReadingSession(bookId, {
+            started_at: toDbTimestamp(req.body.started_at),
+            finished_at: toDbTimestamp(req.body.finished_at)
+        });
+
+        res.status(201).json({
+            message: 'Reading session added',
+            session
+        });
+    } catch (error) {
+        console.error('Error creating reading session:', error);
+        res.status(500).json({
+            error: 'Internal server error creating reading session'
+        });
+    }
+});
+
+// PUT /api/books/:id/sessions/:sessionId
+// correct the dates of a read
+// expected body: same as POST /api/books/:id/sessions
+router.put('/:id/sessions/:sessionId', requireAuth, bookIdValidation, sessionIdValidation, sessionValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const sessionId = parseInt(req.params.sessionId);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const existingSession = await getReadingSessionById(sessionId);
+        if (!existingSession || existingSession.book_id !== bookId) {
+            return res.status(404).json({ error: 'Reading session not found' });
+        }
+
+        await updateReadingSession(sessionId, {
+            started_at: toDbTimestamp(req.body.started_at),
+            finished_at: toDbTimestamp(req.body.finished_at)
+        });
+        const session = await getReadingSessionById(sessionId);
+
+        res.json({
+            message: 'Reading session updated',
+            session
+        });
+    } catch (error) {
+        console.error('Error updating reading session:', error);
+        res.status(500).json({
+            error: 'Internal server error updating reading session'
+        });
+    }
+});
+
+// DELETE /api/books/:id/sessions/:sessionId
+// remove a read that was recorded by mistake
+router.delete('/:id/sessions/:sessionId', requireAuth, bookIdValidation, sessionIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const sessionId = parseInt(req.params.sessionId);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const existingSession = await getReadingSessionById(sessionId);
+        if (!existingSession || existingSession.book_id !== bookId) {
+            return res.status(404).json({ error: 'Reading session not found' });
+        }
+
+        await deleteReadingSession(sessionId);
+
+        res.json({
+            message: 'Reading session deleted',
+            deletedSessionId: sessionId
+        });
+    } catch (error) {
+        console.error('Error deleting reading session:', error);
+        res.status(500).json({
+            error: 'Internal server error deleting reading session'
+        });
+    }
+});
+
+// GET /api/books/:id/history
+// get a book's edit history, newest first
+// each revision has the fields that edit changed: { notes: { from, to }, ... }
+router.get('/:id/history', requireAuth, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const revisions = await getBookRevisions(bookId);
+
+        res.json({
+            book_id: bookId,
+            revisions
+        });
+    } catch (error) {
+        console.error('Error fetching book history:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching book history'
+        });
+    }
+});
+
+// POST /api/books/:id/history/:revisionId/revert
+// put the book back the way it was before the chosen revision
+// (the revert is recorded as a new revision, so it can be undone the same way)
+router.post('/:id/history/:revisionId/revert', requireAuth, bookIdValidation, revisionIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const revisionId = parseInt(req.params.revisionId);
+
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const revision = await getBookRevisionById(revisionId);
+        if (!revision || revision.book_id !== bookId) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const book = await revertBookToRevision(bookId, revisionId);
+
+        res.json({
+            message: 'Book reverted successfully',
+            book
+        });
+    } catch (error) {
+        console.error('Error reverting book:', error);
+        res.status(500).json({
+            error: 'Internal server error reverting book'
+        });
+    }
+});
+
+// GET /api/books/:id/duplicates
+// other books in the library that look like the same book
+// (same ISBN, or same title and author give or take case, punctuation and subtitle)
+router.get('/:id/duplicates', requireAuth, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+
+        const ownership = await validateBookOwnership(bookId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const duplicates = await findDuplicateBooks(req.session.userId, ownership.book, bookId);
+
+        res.json({
+            book_id: bookId,
+            duplicates
+        });
+    } catch (error) {
+        console.error('Error finding duplicate books:', error);
+        res.status(500).json({
+            error: 'Internal server error finding duplicate books'
+        });
+    }
+});
+
+// POST /api/books/:id/merge
+// merge another of the user's books into this one
+// expected body: { source_id }
+// this book keeps its details and fills in any gaps from the other one, and
+// gets both books' notes, tags, shelves and reading history. the other book
+// goes to the trash
+router.post('/:id/merge', requireAuth, bookIdValidation, mergeValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const bookId = parseInt(req.params.id);
+        const sourceId = req.body.source_id;
+
+        if (sourceId === bookId) {
+            return res.status(400).json({ error: 'A book cannot be merged into itself' });
+        }
+
+        const target = await validateBookOwnership(bookId, req.session.userId);
+        if (!target.valid) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const source = await validateBookOwnership(sourceId, req.session.userId);
+        if (!source.valid) {
+            return res.status(source.status).json({ error: `Source book: ${source.error}` });
+        }
+
+        // the notes are kept whole, so they have to fit together
+        const notes = mergeNotes(target.book.notes, source.book.notes);
+        if (notes && notes.length > 1000) {
+            return res.status(400).json({
+                error: 'The notes of both books together exceed 1000 characters; shorten them before merging'
+            });
+        }
+
+        const book = await mergeBooks(bookId, sourceId);
+
+        setBookETag(res, book);
+        res.json({
+            message: 'Books merged successfully',
+            book
+        });
+    } catch (error) {
+        console.error('Error merging books:', error);
+        res.status(500).json({
+            error: 'Internal server error merging books'
+        });
+    }
+});
+
 // HELPER FUNCTIONS
 
 // sanitise book data
@@ -331,12 +1581,170 @@ function sanitiseBookData(bookData) {
     return {
         title: bookData.title ? bookData.title.trim() : '',
         author: bookData.author ? bookData.author.trim() : null,
-        genre: bookData.genre ? bookData.genre.trim() : null,
+        // left undefined when not sent so updates keep the existing tags
+        tags: Array.isArray(bookData.tags) ? normaliseTags(bookData.tags) : undefined,
+        shelf_ids: Array.isArray(bookData.shelf_ids) ? [...new Set(bookData.shelf_ids)] : undefined,
         status: bookData.status || 'to-read',
-        notes: bookData.notes ? bookData.notes.trim() : null
+        notes: bookData.notes ? bookData.notes.trim() : null,
+        isbn: bookData.isbn || null,
+        page_count: bookData.page_count || null,
+        cover_url: bookData.cover_url || null,
+        published_date: bookData.published_date || null,
+        language: bookData.language || null,
+        google_books_id: bookData.google_books_id || null,
+        rating: bookData.rating || null,
+        review: bookData.review || null
+    };
+}
+
+// sanitise the fields of a partial update
+// same rules as sanitiseBookData, keeping only the fields that were sent
+function sanitisePatchData(bookData) {
+    const sanitised = sanitiseBookData(bookData);
+
+    return Object.fromEntries(
+        BOOK_PATCH_FIELDS
+            .filter(field => bookData[field] !== undefined)
+            .map(field => [field, sanitised[field]])
+    );
+}
+
+// build list filters from validated query parameters
+// (shared by the book list and the export)
+function buildListFilters(params) {
+    return {
+        status: params.status || null,
+        tags: normaliseTags((params.tag || '').split(',')),
+        shelfId: params.shelf || null,
+        search: params.search || null
     };
 }
 
+// write a chunk of a streamed response, waiting for the client to catch up
+// when the socket buffer is full
+async function writeChunk(res, chunk) {
+    if (chunk && !res.write(chunk)) {
+        await new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+}
+
+// trim tag names, drop empties and case-insensitive duplicates
+function normaliseTags(tags) {
+    const seen = new Set();
+
+    return tags
+        .map(tag => String(tag).trim().replace(/\s+/g, ' '))
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (tag.length === 0 || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+}
+
+// parse a sort query string like "status,-updated_at" into
+// [{ field: 'status', direction: 'asc' }, { field: 'updated_at', direction: 'desc' }]
+// throws on unknown fields so it can double as a validator
+function parseSortParam(sort) {
+    if (!sort) {
+        return [];
+    }
+
+    if (typeof sort !== 'string') {
+        throw new Error('Sort must be a comma separated list of fields');
+    }
+
+    return sort
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => part.length > 0)
+        .map(part => {
+            const direction = part.startsWith('-') ? 'desc' : 'asc';
+            const field = part.replace(/^[-+]/, '');
+
+            if (!BOOK_SORT_FIELDS[field]) {
+                throw new Error(`Cannot sort by "${field}". Allowed fields: ${Object.keys(BOOK_SORT_FIELDS).join(', ')}`);
+            }
+
+            return { field, direction };
+        });
+}
+
+// convert an ISO 8601 date/date-time into SQLite's CURRENT_TIMESTAMP format
+// (UTC "YYYY-MM-DD HH:MM:SS") so it sorts alongside generated timestamps
+function toDbTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    return new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// build a link to another page of the current list request
+function buildPageLink(req, page) {
+    const params = new URLSearchParams();
+
+    Object.entries(req.query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, value);
+        }
+    });
+    params.set('page', page);
+
+    const path = req.path === '/' ? '' : req.path;
+    return `${req.baseUrl}${path}?${params.toString()}`;
+}
+
+// book versions listed in an If-Match header
+// '"3"' gives [3] (weak W/"3" ETags are accepted too). no header, or '*',
+// gives null: the update goes ahead whatever the version
+function parseIfMatch(header) {
+    if (!header || header.trim() === '*') {
+        return null;
+    }
+
+    return header.split(',').map(tag => {
+        const match = tag.trim().match(/^(?:W\/)?"(\d+)"$/);
+        return match ? parseInt(match[1], 10) : NaN; // a malformed tag matches nothing
+    });
+}
+
+// run an update of a book, checking its version first
+// the check, the update and reading the book back share a transaction, so the
+// response is exactly what was saved and nothing can slip in between.
+// update is called with the options for the db update function. resolves to
+// { book } or, when the book is not at one of the expected versions,
+// { conflict: true, book } with the book as it currently is. a book trashed
+// or purged since the request began gives { notFound: true }
+async function updateWithVersionCheck(bookId, expectedVersions, update) {
+    return withTransaction(async () => {
+        const current = await getBookById(bookId);
+        if (!current) {
+            return { notFound: true };
+        }
+        if (expectedVersions && !expectedVersions.includes(current.version)) {
+            return { conflict: true, book: current };
+        }
+
+        await update(expectedVersions ? { version: current.version } : {});
+        return { book: await getBookById(bookId) };
+    });
+}
+
+// set a book's ETag (its version in quotes)
+function setBookETag(res, book) {
+    res.set('ETag', `"${book.version}"`);
+}
+
 // helper function to validate book ownership
 async function validateBookOwnership(bookId, userId) {
     // check if book exists
@@ -360,5 +1768,24 @@ async function validateBookOwnership(bookId, userId) {
     }
 }
 
+// same check for a book in the trash
+async function validateDeletedBookOwnership(bookId, userId) {
+    try {
+        const book = await getDeletedBookById(bookId);
+
+        if (!book) {
+            return { valid: false, error: 'Book not found in trash', status: 404 };
+        }
+
+        if (book.user_id !== userId) {
+            return { valid: false, error: 'Access denied', status: 403 };
+        }
+
+        return { valid: true, book: book };
+    } catch (error) {
+        return { valid: false, error: 'Database error', status: 500 };
+    }
+}
+
 module.exports = router;
  
\ No newline at end of file
@@ -0,0 +1,258 @@
+// Goal routes
+// reading goals ("read 40 books in 2026", "2000 pages in March") and how
+// they are going, worked out from the books finished in each goal's period
+
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+
+// Import database functions
+const {
+    getGoalsByUserId,
+    getGoalById,
+    findGoal,
+    createGoal,
+    updateGoalTarget,
+    deleteGoal
+} = require('../utils/db');
+
+// Import goal progress helpers
+const { describeGoal } = require('../utils/goals');
+
+// Import authentication middleware
+const { requireAuth } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+// every goal route needs a logged in user
+router.use(requireAuth);
+
+// largest target a goal can have
+const MAX_GOAL_TARGET = 1000000;
+
+// validation for a goal's target
+const targetValidation = [
+    body('target')
+        .isInt({ min: 1, max: MAX_GOAL_TARGET })
+        .withMessage(`Target must be a whole number between 1 and ${MAX_GOAL_TARGET}`)
+        .toInt()
+];
+
+// validation rules for creating goals
+const goalValidation = [
+    body('type')
+        .isIn(['books', 'pages'])
+        .withMessage('Type must be one of: books, pages'),
+
+    ...targetValidation,
+
+    body('year')
+        .isInt({ min: 1900, max: 2100 })
+        .withMessage('Year must be between 1900 and 2100')
+        .toInt(),
+
+    // left out (or null) for a goal for the whole year
+    body('month')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12')
+        .toInt()
+];
+
+// validation for goal ID parameter
+const goalIdValidation = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Goal ID must be a positive integer')
+];
+
+// validation for the goal list
+const goalListValidation = [
+    query('year')
+        .optional()
+        .isInt({ min: 1900, max: 2100 })
+        .withMessage('Year must be between 1900 and 2100')
+        .toInt()
+];
+
+// GET /api/goals
+// get the user's goals with their progress, newest year first
+// optional query: ?year=2026 for one year's goals only
+router.get('/', goalListValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const goals = await getGoalsByUserId(req.session.userId, req.query.year || null);
+        const now = new Date();
+
+        res.json({
+            goals: await Promise.all(goals.map(goal => describeGoal(goal, now)))
+        });
+    } catch (error) {
+        console.error('Error fetching goals:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching goals'
+        });
+    }
+});
+
+// GET /api/goals/:id
+// get one goal with its progress
+router.get('/:id', goalIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const ownership = await validateGoalOwnership(parseInt(req.params.id), req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        res.json({ goal: await describeGoal(ownership.goal) });
+    } catch (error) {
+        console.error('Error fetching goal:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching goal'
+        });
+    }
+});
+
+// POST /api/goals
+// set a goal, one of each type per year or month
+// expected body: { "type": "books" | "pages", "target": 40, "year": 2026, "month": 3 (optional) }
+router.post('/', goalValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const { type, target, year } = req.body;
+        const month = req.body.month || null;
+
+        const existingGoal = await findGoal(userId, type, year, month);
+        if (existingGoal) {
+            return res.status(409).json({
+                error: 'There is already a goal of this type for this period',
+                goal: await describeGoal(existingGoal)
+            });
+        }
+
+        const goalId = await createGoal(userId, { type, target, year, month });
+        const goal = await getGoalById(goalId);
+
+        res.status(201).json({
+            message: 'Goal created successfully',
+            goal: await describeGoal(goal)
+        });
+    } catch (error) {
+        console.error('Error creating goal:', error);
+        res.status(500).json({
+            error: 'Internal server error creating goal'
+        });
+    }
+});
+
+// PUT /api/goals/:id
+// change a goal's target (the type and period stay as they are)
+// expected body: { "target": 50 }
+router.put('/:id', goalIdValidation, targetValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const goalId = parseInt(req.params.id);
+        const ownership = await validateGoalOwnership(goalId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        await updateGoalTarget(goalId, req.body.target);
+        const goal = await getGoalById(goalId);
+
+        res.json({
+            message: 'Goal updated successfully',
+            goal: await describeGoal(goal)
+        });
+    } catch (error) {
+        console.error('Error updating goal:', error);
+        res.status(500).json({
+            error: 'Internal server error updating goal'
+        });
+    }
+});
+
+// DELETE /api/goals/:id
+// delete a goal (the books are not touched)
+router.delete('/:id', goalIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const goalId = parseInt(req.params.id);
+        const ownership = await validateGoalOwnership(goalId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        await deleteGoal(goalId);
+
+        res.json({
+            message: 'Goal deleted successfully',
+            deletedGoalId: goalId
+        });
+    } catch (error) {
+        console.error('Error deleting goal:', error);
+        res.status(500).json({
+            error: 'Internal server error deleting goal'
+        });
+    }
+});
+
+// HELPER FUNCTIONS
+
+// check a goal exists and belongs to the user
+async function validateGoalOwnership(goalId, userId) {
+    try {
+        const goal = await getGoalById(goalId);
+
+        if (!goal) {
+            return { valid: false, error: 'Goal not found', status: 404 };
+        }
+
+        if (goal.user_id !== userId) {
+            return { valid: false, error: 'Access denied', status: 403 };
+        }
+
+        return { valid: true, goal };
+    } catch (error) {
+        return { valid: false, error: 'Database error', status: 500 };
+    }
+}
+
+module.exports = router;
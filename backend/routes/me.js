@@ -0,0 +1,179 @@
+// Routes about the logged in user
+// their personal reading statistics and account settings
+
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+
+// Import database functions
+const { getUserReadingStats, getUserSettings, updateUserSettings } = require('../utils/db');
+
+// Import authentication middleware
+const { requireAuth } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+// every route here is about the logged in user
+router.use(requireAuth);
+
+// how many tags and authors the breakdowns list
+const BREAKDOWN_SIZE = 10;
+
+// validation for the statistics query
+const statsValidation = [
+    query('months')
+        .optional()
+        .isInt({ min: 1, max: 60 })
+        .withMessage('Months must be between 1 and 60')
+        .toInt()
+];
+
+// validation for settings updates
+const settingsValidation = [
+    body('public_stats_opt_out')
+        .exists()
+        .withMessage('public_stats_opt_out is required')
+        .bail()
+        .isBoolean()
+        .withMessage('public_stats_opt_out must be true or false')
+        .toBoolean()
+];
+
+// GET /api/me/stats
+// the user's reading statistics
+// optional query: ?months=12 for how many months finished_by_month covers
+// (counting back from this one)
+router.get('/stats', statsValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const stats = await getUserReadingStats(req.session.userId, BREAKDOWN_SIZE);
+        const now = new Date();
+        const finishedPages = stats.months.reduce((total, month) => total + month.pages, 0);
+
+        res.json({
+            totals: stats.totals,
+            finished_by_month: fillMonths(stats.months, req.query.months || 12, now),
+            finished_by_year: sumYears(stats.months, now),
+            tags: stats.tags,
+            authors: stats.authors,
+            reading_time: stats.readingTime,
+            pages: {
+                finished: finishedPages,
+                in_progress: stats.pagesInProgress,
+                total: finishedPages + stats.pagesInProgress
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching reading statistics:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching reading statistics'
+        });
+    }
+});
+
+// GET /api/me/settings
+// the user's account settings
+// - public_stats_opt_out: true leaves the user's books out of the public
+//   statistics and search
+router.get('/settings', async (req, res) => {
+    try {
+        const settings = await getUserSettings(req.session.userId);
+
+        if (!settings) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({ settings });
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching settings'
+        });
+    }
+});
+
+// PUT /api/me/settings
+// change the user's account settings
+router.put('/settings', settingsValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const settings = await updateUserSettings(req.session.userId, {
+            public_stats_opt_out: req.body.public_stats_opt_out
+        });
+
+        if (!settings) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            message: 'Settings updated successfully',
+            settings
+        });
+    } catch (error) {
+        console.error('Error updating settings:', error);
+        res.status(500).json({
+            error: 'Internal server error updating settings'
+        });
+    }
+});
+
+// HELPER FUNCTIONS
+
+// the last count months up to now's, oldest first, with months nothing was
+// finished in filled in as zero
+function fillMonths(months, count, now) {
+    const byMonth = new Map(months.map(month => [month.month, month]));
+    const filled = [];
+
+    for (let offset = count - 1; offset >= 0; offset--) {
+        const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1));
+        const key = date.toISOString().slice(0, 7);
+        const month = byMonth.get(key);
+        filled.push({ month: key, books: month ? month.books : 0, pages: month ? month.pages : 0 });
+    }
+
+    return filled;
+}
+
+// totals per year from the first year anything was finished up to now's,
+// years with nothing finished included as zero
+function sumYears(months, now) {
+    if (months.length === 0) {
+        return [];
+    }
+
+    const firstYear = parseInt(months[0].month.slice(0, 4), 10);
+    const lastYear = Math.max(now.getUTCFullYear(), parseInt(months[months.length - 1].month.slice(0, 4), 10));
+    const years = [];
+
+    for (let year = firstYear; year <= lastYear; year++) {
+        const inYear = months.filter(month => month.month.startsWith(`${year}-`));
+        years.push({
+            year,
+            books: inYear.reduce((total, month) => total + month.books, 0),
+            pages: inYear.reduce((total, month) => total + month.pages, 0)
+        });
+    }
+
+    return years;
+}
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// Recommendation routes
+// "readers also added": books the user doesn't have yet, suggested from the
+// libraries of readers who have books in common with them
+
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+
+// Import database functions
+const { getRecommendations } = require('../utils/db');
+
+// Import the public statistics threshold the suggestions follow
+const { PUBLIC_STATS_MIN_READERS } = require('../utils/privacy');
+
+// Import authentication middleware
+const { requireAuth } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+// recommendations are worked out from the logged in user's library
+router.use(requireAuth);
+
+// how many suggestions are returned by default, and at most
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// validation for the recommendations query
+const recommendationValidation = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+        .toInt()
+];
+
+// GET /api/recommendations
+// suggested books, best first. each has the readers with books in common who
+// added it (never fewer than min_readers) and up to three of the user's own
+// books that it is suggested because of
+// optional query: ?limit=20
+router.get('/', recommendationValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const recommendations = await getRecommendations(req.session.userId, req.query.limit || DEFAULT_LIMIT);
+
+        res.json({
+            recommendations,
+            count: recommendations.length,
+            min_readers: PUBLIC_STATS_MIN_READERS
+        });
+    } catch (error) {
+        console.error('Error fetching recommendations:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching recommendations'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+// Shelf routes
+// shelves are named, user-ordered collections ("Book club 2026", "Gifts")
+// and a book can sit on any number of them
+
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+
+// Import database functions
+const {
+    getShelvesByUserId,
+    getShelfById,
+    findShelfByName,
+    createShelf,
+    renameShelf,
+    deleteShelf,
+    reorderShelves,
+    addBooksToShelf,
+    removeBookFromShelf,
+    getBookById
+} = require('../utils/db');
+
+// Import validation helpers
+const { validateShelfName, assertValid } = require('../utils/validation');
+
+// Import authentication middleware
+const { requireAuth } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+// every shelf route needs a logged in user
+router.use(requireAuth);
+
+// validation rules for creating/renaming shelves
+const shelfValidation = [
+    body('name')
+        .custom(value => assertValid(validateShelfName(value)))
+        .customSanitizer(value => validateShelfName(value).sanitised)
+];
+
+// validation for shelf ID parameter
+const shelfIdValidation = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Shelf ID must be a positive integer')
+];
+
+// validation for the new shelf order
+const reorderValidation = [
+    body('shelf_ids')
+        .isArray({ min: 1 })
+        .withMessage('shelf_ids must be a non-empty list'),
+
+    body('shelf_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Shelf IDs must be positive integers')
+        .toInt()
+];
+
+// validation for adding books to a shelf
+const addBooksValidation = [
+    body('book_ids')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('book_ids must be a list of 1 to 100 book IDs'),
+
+    body('book_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Book IDs must be positive integers')
+        .toInt()
+];
+
+// validation for the book ID parameter when removing a book
+const bookIdValidation = [
+    param('bookId')
+        .isInt({ min: 1 })
+        .withMessage('Book ID must be a positive integer')
+];
+
+// GET /api/shelves
+// get the user's shelves in order, with book counts
+router.get('/', async (req, res) => {
+    try {
+        const shelves = await getShelvesByUserId(req.session.userId);
+
+        res.json({ shelves });
+    } catch (error) {
+        console.error('Error fetching shelves:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching shelves'
+        });
+    }
+});
+
+// POST /api/shelves
+// create a shelf, it goes to the end of the list
+// expected body: { "name": "string" }
+router.post('/', shelfValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const { name } = req.body;
+
+        const existingShelf = await findShelfByName(userId, name);
+        if (existingShelf) {
+            return res.status(409).json({
+                error: 'Shelf already exists',
+                shelf: existingShelf
+            });
+        }
+
+        const shelfId = await createShelf(userId, name);
+        const shelf = await getShelfById(shelfId);
+
+        res.status(201).json({
+            message: 'Shelf created successfully',
+            shelf
+        });
+    } catch (error) {
+        console.error('Error creating shelf:', error);
+        res.status(500).json({
+            error: 'Internal server error creating shelf'
+        });
+    }
+});
+
+// PUT /api/shelves/order
+// reorder the user's shelves
+// expected body: { "shelf_ids": [3, 1, 2] } listing every shelf once
+router.put('/order', reorderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const shelfIds = req.body.shelf_ids;
+
+        // the new order must be a permutation of the user's shelves
+        const shelves = await getShelvesByUserId(userId);
+        const ownIds = new Set(shelves.map(shelf => shelf.id));
+        const isPermutation = shelfIds.length === ownIds.size &&
+            new Set(shelfIds).size === shelfIds.length &&
+            shelfIds.every(id => ownIds.has(id));
+
+        if (!isPermutation) {
+            return res.status(400).json({
+                error: 'shelf_ids must list each of your shelves exactly once'
+            });
+        }
+
+        await reorderShelves(userId, shelfIds);
+
+        res.json({
+            message: 'Shelves reordered successfully',
+            shelves: await getShelvesByUserId(userId)
+        });
+    } catch (error) {
+        console.error('Error reordering shelves:', error);
+        res.status(500).json({
+            error: 'Internal server error reordering shelves'
+        });
+    }
+});
+
+// PUT /api/shelves/:id
+// rename a shelf
+// expected body: { "name": "string" }
+router.put('/:id', shelfIdValidation, shelfValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const shelfId = parseInt(req.params.id);
+        const { name } = req.body;
+
+        const ownership = await validateShelfOwnership(shelfId, userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const clashingShelf = await findShelfByName(userId, name);
+        if (clashingShelf && clashingShelf.id !== shelfId) {
+            return res.status(409).json({
+                error: 'Another shelf already has this name',
+                shelf: clashingShelf
+            });
+        }
+
+        await renameShelf(shelfId, name);
+        const shelf = await getShelfById(shelfId);
+
+        res.json({
+            message: 'Shelf renamed successfully',
+            shelf
+        });
+    } catch (error) {
+        console.error('Error renaming shelf:', error);
+        res.status(500).json({
+            error: 'Internal server error renaming shelf'
+        });
+    }
+});
+
+// DELETE /api/shelves/:id
+// delete a shelf (the books on it are kept)
+router.delete('/:id', shelfIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const shelfId = parseInt(req.params.id);
+        const ownership = await validateShelfOwnership(shelfId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        await deleteShelf(shelfId);
+
+        res.json({
+            message: 'Shelf deleted successfully',
+            deletedShelfId: shelfId
+        });
+    } catch (error) {
+        console.error('Error deleting shelf:', error);
+        res.status(500).json({
+            error: 'Internal server error deleting shelf'
+        });
+    }
+});
+
+// POST /api/shelves/:id/books
+// put books on a shelf
+// expected body: { "book_ids": [1, 2] }
+router.post('/:id/books', shelfIdValidation, addBooksValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const shelfId = parseInt(req.params.id);
+        const bookIds = [...new Set(req.body.book_ids)];
+
+        const ownership = await validateShelfOwnership(shelfId, userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        // every book must exist and belong to the user before any is added
+        for (const bookId of bookIds) {
+            const book = await getBookById(bookId);
+            if (!book || book.user_id !== userId) {
+                return res.status(404).json({
+                    error: 'Book not found',
+                    bookId
+                });
+            }
+        }
+
+        const added = await addBooksToShelf(shelfId, bookIds);
+        const shelf = await getShelfById(shelfId);
+
+        res.json({
+            message: `${added} book(s) added to shelf`,
+            added,
+            shelf
+        });
+    } catch (error) {
+        console.error('Error adding books to shelf:', error);
+        res.status(500).json({
+            error: 'Internal server error adding books to shelf'
+        });
+    }
+});
+
+// DELETE /api/shelves/:id/books/:bookId
+// take a book off a shelf (the book itself is kept)
+router.delete('/:id/books/:bookId', shelfIdValidation, bookIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const shelfId = parseInt(req.params.id);
+        const bookId = parseInt(req.params.bookId);
+
+        const ownership = await validateShelfOwnership(shelfId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        const removed = await removeBookFromShelf(shelfId, bookId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Book is not on this shelf' });
+        }
+
+        res.json({
+            message: 'Book removed from shelf',
+            shelf: await getShelfById(shelfId)
+        });
+    } catch (error) {
+        console.error('Error removing book from shelf:', error);
+        res.status(500).json({
+            error: 'Internal server error removing book from shelf'
+        });
+    }
+});
+
+// HELPER FUNCTIONS
+
+// helper function to validate shelf ownership
+async function validateShelfOwnership(shelfId, userId) {
+    try {
+        const shelf = await getShelfById(shelfId);
+
+        if (!shelf) {
+            return { valid: false, error: 'Shelf not found', status: 404 };
+        }
+
+        if (shelf.user_id !== userId) {
+            return { valid: false, error: 'Access denied', status: 403 };
+        }
+
+        return { valid: true, shelf };
+    } catch (error) {
+        return { valid: false, error: 'Database error', status: 500 };
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,216 @@
+// Tag management routes
+// tags are per user and can be attached to any number of books
+
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+
+// Import database functions
+const {
+    getTagsByUserId,
+    getTagById,
+    findTagByName,
+    createTag,
+    renameTag,
+    deleteTag
+} = require('../utils/db');
+
+// Import validation helpers
+const { validateTagName, assertValid } = require('../utils/validation');
+
+// Import authentication middleware
+const { requireAuth } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+// every tag route needs a logged in user
+router.use(requireAuth);
+
+// validation rules for creating/renaming tags
+const tagValidation = [
+    body('name')
+        .custom(value => assertValid(validateTagName(value)))
+        .customSanitizer(value => validateTagName(value).sanitised)
+];
+
+// validation for tag ID parameter
+const tagIdValidation = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Tag ID must be a positive integer')
+];
+
+// validation for the tag list (q is a name prefix for autocomplete)
+const tagListValidation = [
+    query('q')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Search must not exceed 50 characters')
+];
+
+// GET /api/tags
+// get the user's tags with book counts
+// query parameters:
+// - q: only tags starting with this text
+router.get('/', tagListValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const tags = await getTagsByUserId(req.session.userId, req.query.q || null);
+
+        res.json({ tags });
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching tags'
+        });
+    }
+});
+
+// POST /api/tags
+// create a tag without attaching it to a book
+// expected body: { "name": "string" }
+router.post('/', tagValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const { name } = req.body;
+
+        const existingTag = await findTagByName(userId, name);
+        if (existingTag) {
+            return res.status(409).json({
+                error: 'Tag already exists',
+                tag: existingTag
+            });
+        }
+
+        const tagId = await createTag(userId, name);
+        const tag = await getTagById(tagId);
+
+        res.status(201).json({
+            message: 'Tag created successfully',
+            tag
+        });
+    } catch (error) {
+        console.error('Error creating tag:', error);
+        res.status(500).json({
+            error: 'Internal server error creating tag'
+        });
+    }
+});
+
+// PUT /api/tags/:id
+// rename a tag (every book carrying it follows)
+// expected body: { "name": "string" }
+router.put('/:id', tagIdValidation, tagValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.session.userId;
+        const tagId = parseInt(req.params.id);
+        const { name } = req.body;
+
+        const ownership = await validateTagOwnership(tagId, userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        // renaming to a name another tag already uses would collide
+        const clashingTag = await findTagByName(userId, name);
+        if (clashingTag && clashingTag.id !== tagId) {
+            return res.status(409).json({
+                error: 'Another tag already has this name',
+                tag: clashingTag
+            });
+        }
+
+        await renameTag(tagId, name);
+        const tag = await getTagById(tagId);
+
+        res.json({
+            message: 'Tag renamed successfully',
+            tag
+        });
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        res.status(500).json({
+            error: 'Internal server error renaming tag'
+        });
+    }
+});
+
+// DELETE /api/tags/:id
+// delete a tag and remove it from all books (the books are kept)
+router.delete('/:id', tagIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const tagId = parseInt(req.params.id);
+        const ownership = await validateTagOwnership(tagId, req.session.userId);
+        if (!ownership.valid) {
+            return res.status(ownership.status).json({ error: ownership.error });
+        }
+
+        await deleteTag(tagId);
+
+        res.json({
+            message: 'Tag deleted successfully',
+            deletedTagId: tagId
+        });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        res.status(500).json({
+            error: 'Internal server error deleting tag'
+        });
+    }
+});
+
+// HELPER FUNCTIONS
+
+// helper function to validate tag ownership
+async function validateTagOwnership(tagId, userId) {
+    try {
+        const tag = await getTagById(tagId);
+
+        if (!tag) {
+            return { valid: false, error: 'Tag not found', status: 404 };
+        }
+
+        if (tag.user_id !== userId) {
+            return { valid: false, error: 'Access denied', status: 403 };
+        }
+
+        return { valid: true, tag };
+    } catch (error) {
+        return { valid: false, error: 'Database error', status: 500 };
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,198 @@
+// Work routes (admin only)
+// the shared catalogue of works every user's books are linked to. copies of
+// the same book that weren't matched automatically (different ISBNs and
+// spellings) end up as separate works, which an admin can merge here
+
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+
+// Import database functions
+const { getWorkById, getWorks, mergeWorks } = require('../utils/db');
+
+// Import authentication middleware
+const { requireRole } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+// looking after the catalogue is for admins
+router.use(requireRole('admin'));
+
+// paging defaults for the work list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// validation for work ID parameter
+const workIdValidation = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Work ID must be a positive integer')
+];
+
+// validation for the work list
+const workListValidation = [
+    query('search')
+        .optional()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Search must not exceed 255 characters'),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+        .toInt()
+];
+
+// validation for merging works
+const mergeValidation = [
+    body('source_id')
+        .isInt({ min: 1 })
+        .withMessage('Source ID must be a positive integer')
+        .toInt()
+];
+
+// GET /api/works
+// list works by title with how many copies each has (merged works are left out)
+// query parameters:
+// - search: part of the title or author
+// - page, limit: offset pagination (defaults to page 1, 20 per page)
+router.get('/', workListValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const page = req.query.page || 1;
+        const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+        const { works, total } = await getWorks({
+            search: req.query.search || null,
+            limit,
+            offset: (page - 1) * limit
+        });
+        const totalPages = Math.max(1, Math.ceil(total / limit));
+
+        res.json({
+            works,
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: totalPages,
+                has_more: page < totalPages
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching works:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching works'
+        });
+    }
+});
+
+// GET /api/works/:id
+// get one work (merged_into_id says where a merged one went)
+router.get('/:id', workIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const work = await getWorkById(parseInt(req.params.id));
+        if (!work) {
+            return res.status(404).json({ error: 'Work not found' });
+        }
+
+        res.json({ work });
+    } catch (error) {
+        console.error('Error fetching work:', error);
+        res.status(500).json({
+            error: 'Internal server error fetching work'
+        });
+    }
+});
+
+// POST /api/works/:id/merge
+// merge another work into this one: its copies are linked to this work, and
+// later copies matching it are too
+// expected body: { "source_id": 12 }
+router.post('/:id/merge', workIdValidation, mergeValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const targetId = parseInt(req.params.id);
+        const sourceId = req.body.source_id;
+
+        if (targetId === sourceId) {
+            return res.status(400).json({
+                error: 'A work cannot be merged into itself'
+            });
+        }
+
+        for (const workId of [targetId, sourceId]) {
+            const check = await validateMergeableWork(workId);
+            if (!check.valid) {
+                return res.status(check.status).json({ error: check.error });
+            }
+        }
+
+        const work = await mergeWorks(targetId, sourceId);
+
+        res.json({
+            message: 'Works merged successfully',
+            work
+        });
+    } catch (error) {
+        console.error('Error merging works:', error);
+        res.status(500).json({
+            error: 'Internal server error merging works'
+        });
+    }
+});
+
+// HELPER FUNCTIONS
+
+// check a work exists and hasn't been merged into another one already
+async function validateMergeableWork(workId) {
+    try {
+        const work = await getWorkById(workId);
+
+        if (!work) {
+            return { valid: false, error: 'Work not found', status: 404 };
+        }
+
+        if (work.merged_into_id) {
+            return {
+                valid: false,
+                error: `Work ${workId} has already been merged into work ${work.merged_into_id}`,
+                status: 409
+            };
+        }
+
+        return { valid: true, work };
+    } catch (error) {
+        return { valid: false, error: 'Database error', status: 500 };
+    }
+}
+
+module.exports = router;
@@ -10,10 +10,19 @@ const morgan = require('morgan');
 const path = require('path');
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
-const { initializeDatabase } = require('./utils/db');
+const tagRoutes = require('./routes/tags');
+const shelfRoutes = require('./routes/shelves');
+const goalRoutes = require('./routes/goals');
+const workRoutes = require('./routes/works');
+const recommendationRoutes = require('./routes/recommendations');
+const meRoutes = require('./routes/me');
+const { initializeDatabase, closeDatabase } = require('./utils/db');
+const { startTrashPurging } = require('./utils/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// how long to let requests in flight finish when shutting down
+const SHUTDOWN_TIMEOUT_MS = 10000;
 
 // security middleware
 app.use(helmet());
@@ -22,8 +31,10 @@ app.use(helmet());
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    // book versions for optimistic concurrency (If-Match on updates)
+    exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -68,6 +79,12 @@ if (process.env.NODE_ENV === 'production') {
 // all API routes are prefixed with /api
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/shelves', shelfRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/works', workRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/me', meRoutes);
 
 // health check endpoint
 // simple endpoint to check if the server is running
@@ -88,6 +105,12 @@ app.get('/api', (req, res) => {
         endpoints: {
             auth: '/api/auth',
             books: '/api/books',
+            tags: '/api/tags',
+            shelves: '/api/shelves',
+            goals: '/api/goals',
+            works: '/api/works',
+            recommendations: '/api/recommendations',
+            stats: '/api/me/stats',
             public: '/api/books/public',
             health: '/api/health'
         },
@@ -109,7 +132,10 @@ app.use((req, res) => {
     res.status(404).json({
         error: 'Route not found',
         message: `Cannot ${req.method} ${req.path}`,
-        availableRoutes: ['/api/auth', '/api/books', '/api/health']
+        availableRoutes: [
+            '/api/auth', '/api/books', '/api/tags', '/api/shelves', '/api/goals',
+            '/api/works', '/api/recommendations', '/api/me', '/api/health'
+        ]
     });
 });
 
@@ -136,18 +162,53 @@ async function startServer() {
         await initializeDatabase();
         console.log('Database initialized successfully');
 
-        app.listen(PORT, () => {
+        // books left in the trash past the retention period are purged in the background
+        const stopTrashPurging = startTrashPurging();
+
+        const server = app.listen(PORT, () => {
             console.log(`Server running on http://localhost:${PORT}`);
             console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
             console.log(`API available at http://localhost:${PORT}/api`);
             console.log('Reading List Manager Backend is ready!');
         });
+
+        process.once('SIGTERM', () => shutdown(server, 'SIGTERM', stopTrashPurging));
+        process.once('SIGINT', () => shutdown(server, 'SIGINT', stopTrashPurging));
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
     }
 }
 
+// graceful shutdown
+// stop accepting connections and background work, let requests in flight
+// finish, then close the database
+function shutdown(server, signal, stopBackgroundTasks) {
+    console.log(`${signal} received, shutting down...`);
+    stopBackgroundTasks();
+
+    // don't wait forever on a stuck request
+    setTimeout(() => {
+        console.error('Shutdown timed out, exiting');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close(async () => {
+        try {
+            await closeDatabase();
+            process.exit(0);
+        } catch (error) {
+            console.error('Error closing database:', error);
+            process.exit(1);
+        }
+    });
+
+    // keep-alive connections with no request in progress would hold close() open
+    if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+    }
+}
+
 // start the server
 startServer();
 
@@ -0,0 +1,139 @@
+// tests for the book queries in utils/db.js
+// run against a database of their own in a temporary directory
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-list-test-'));
+process.env.DB_PATH = path.join(dir, 'reading_list.db');
+
+const db = require('../utils/db');
+
+let userId;
+
+before(async () => {
+    await db.initializeDatabase();
+    userId = await db.createUser('reader', 'not-a-real-hash');
+});
+
+after(async () => {
+    await db.closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('findDuplicateBooks matches by ISBN or by title and author', async () => {
+    const emma = await db.createBook({ title: 'Emma', author: 'Jane Austen', isbn: '0141439580', user_id: userId });
+    const dune = await db.createBook({ title: 'Dune', author: 'Frank Herbert', user_id: userId });
+
+    const byIsbn = await db.findDuplicateBooks(userId, { title: 'Emma (Penguin Classics)', isbn: '9780141439587' });
+    assert.deepStrictEqual(byIsbn.map(book => [book.id, book.match]), [[emma.id, 'isbn']]);
+
+    const byTitle = await db.findDuplicateBooks(userId, { title: 'Dune: Deluxe Edition', author: 'Herbert, Frank' });
+    assert.deepStrictEqual(byTitle.map(book => [book.id, book.match]), [[dune.id, 'title_author']]);
+
+    assert.deepStrictEqual(await db.findDuplicateBooks(userId, { title: 'Dune', author: 'Frank Herbert' }, dune.id), []);
+});
+
+test('mergeBooks combines two books into one and trashes the other', async () => {
+    const target = await db.createBook({
+        title: 'The Hobbit',
+        author: 'J.R.R. Tolkien',
+        status: 'to-read',
+        notes: 'a gift',
+        tags: ['fantasy'],
+        user_id: userId
+    });
+    const source = await db.createBook({
+        title: 'Hobbit',
+        author: 'Tolkien, J. R. R.',
+        status: 'reading',
+        notes: 'reread before the films',
+        isbn: '9780261102217',
+        page_count: 310,
+        tags: ['classics', 'fantasy'],
+        user_id: userId
+    });
+    await db.patchBook(source.id, { rating: 4 });
+    const [sourceRevision] = await db.getBookRevisions(source.id);
+
+    const merged = await db.mergeBooks(target.id, source.id);
+
+    assert.strictEqual(merged.id, target.id);
+    assert.strictEqual(merged.title, 'The Hobbit');
+    assert.strictEqual(merged.status, 'reading');
+    assert.strictEqual(merged.isbn, '9780261102217');
+    assert.strictEqual(merged.page_count, 310);
+    assert.strictEqual(merged.notes, 'a gift\n\nreread before the films');
+    assert.deepStrictEqual([...merged.tags].sort(), ['classics', 'fantasy']);
+
+    // the source's reading session came across instead of a new one opening
+    const sessions = await db.getReadingSessions(target.id);
+    assert.strictEqual(sessions.length, 1);
+    assert.deepStrictEqual(await db.getReadingSessions(source.id), []);
+
+    // so did its edit history, with the merge as the latest edit
+    const revisions = await db.getBookRevisions(target.id);
+    assert.strictEqual(revisions.length, 2);
+    assert.strictEqual(revisions[1].id, sourceRevision.id);
+    assert.deepStrictEqual(await db.getBookRevisions(source.id), []);
+
+    assert.strictEqual(await db.getBookById(source.id), undefined);
+    const trash = await db.getDeletedBooksByUserId(userId);
+    assert.deepStrictEqual(trash.map(book => book.id), [source.id]);
+});
+
+test('mergeBooks refuses to merge a book into itself', async () => {
+    const book = await db.createBook({ title: 'Persuasion', user_id: userId });
+    await assert.rejects(db.mergeBooks(book.id, book.id), /cannot be merged/);
+});
+
+test('bulk tag and shelf changes give books a new version, so edits made with the old ETag are refused', async () => {
+    const book = await db.createBook({ title: 'Middlemarch', author: 'George Eliot', tags: ['classics'], user_id: userId });
+    const shelfId = await db.createShelf(userId, 'Book club');
+
+    assert.strictEqual(await db.applyBulkAction(userId, [book.id], { type: 'add_tag', tag: 'to discuss' }), 1);
+    const tagged = await db.getBookById(book.id);
+    assert.ok(tagged.version > book.version);
+
+    // a PUT sent with the ETag from before the bulk change (the route answers 412)
+    assert.strictEqual(await db.updateBook(book.id, book, { version: book.version }), false);
+    assert.deepStrictEqual([...(await db.getBookById(book.id)).tags].sort(), ['classics', 'to discuss']);
+
+    await db.applyBulkAction(userId, [book.id], { type: 'move_to_shelf', shelfId });
+    const shelved = await db.getBookById(book.id);
+    assert.ok(shelved.version > tagged.version);
+    assert.deepStrictEqual(shelved.shelf_ids, [shelfId]);
+});
+
+test('bulk status and tag changes are saved in each book\'s edit history', async () => {
+    const first = await db.createBook({ title: 'Persuasion', status: 'to-read', user_id: userId });
+    const second = await db.createBook({ title: 'Sanditon', status: 'read', user_id: userId });
+
+    assert.strictEqual(await db.applyBulkAction(userId, [first.id, second.id], { type: 'set_status', status: 'read' }), 1);
+    assert.strictEqual(await db.applyBulkAction(userId, [first.id], { type: 'add_tag', tag: 'austen' }), 1);
+
+    const revisions = await db.getBookRevisions(first.id);
+    assert.deepStrictEqual(revisions.map(revision => revision.changes), [
+        { tags: { from: [], to: ['austen'] } },
+        { status: { from: 'to-read', to: 'read' } }
+    ]);
+    // the book that already had the status was not changed
+    assert.deepStrictEqual(await db.getBookRevisions(second.id), []);
+
+    const reverted = await db.revertBookToRevision(first.id, revisions[1].id);
+    assert.strictEqual(reverted.status, 'to-read');
+});
+
+test('getWorks searches titles and authors literally, wildcards and all', async () => {
+    await db.createBook({ title: '100% Wolf', author: 'Jayne Lyons', user_id: userId });
+    await db.createBook({ title: 'One Thousand Cranes', author: 'Anon_1000', user_id: userId });
+
+    const titles = async (search) => (await db.getWorks({ search })).works.map(work => work.title);
+
+    assert.deepStrictEqual(await titles('100%'), ['100% Wolf']);
+    assert.deepStrictEqual(await titles('n_1'), ['One Thousand Cranes']);
+    assert.deepStrictEqual(await titles('ne_'), []);
+});
@@ -0,0 +1,48 @@
+// tests for the CSV reader and writer in utils/csv.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseCsv, parseCsvRecords, formatCsvRow } = require('../utils/csv');
+
+test('parseCsv splits rows and fields', () => {
+    assert.deepStrictEqual(parseCsv('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+});
+
+test('parseCsv handles quoted commas, escaped quotes and line breaks', () => {
+    const text = 'title,notes\n"Dune, Messiah","She said ""hi""\nand left"\n';
+    assert.deepStrictEqual(parseCsv(text), [
+        ['title', 'notes'],
+        ['Dune, Messiah', 'She said "hi"\nand left']
+    ]);
+});
+
+test('parseCsv accepts CRLF endings, a byte order mark and no final newline', () => {
+    assert.deepStrictEqual(parseCsv('\ufeffa,b\r\n1,\r\n2,3'), [['a', 'b'], ['1', ''], ['2', '3']]);
+});
+
+test('parseCsvRecords keys fields by header and numbers rows like a spreadsheet', () => {
+    const { columns, records } = parseCsvRecords(' Title ,Author\nDune,Frank Herbert\n\n,\nEmma\n');
+
+    assert.deepStrictEqual(columns, ['Title', 'Author']);
+    assert.deepStrictEqual(records, [
+        { _row: 2, Title: 'Dune', Author: 'Frank Herbert' },
+        { _row: 5, Title: 'Emma', Author: '' }
+    ]);
+});
+
+test('parseCsvRecords of empty text has no columns or records', () => {
+    assert.deepStrictEqual(parseCsvRecords(''), { columns: [], records: [] });
+});
+
+test('formatCsvRow quotes only the fields that need it and ends with CRLF', () => {
+    assert.strictEqual(
+        formatCsvRow(['Dune', 'Herbert, Frank', 'say "hi"', 'two\nlines', null, undefined, 5]),
+        'Dune,"Herbert, Frank","say ""hi""","two\nlines",,,5\r\n'
+    );
+});
+
+test('formatCsvRow output parses back to the same values', () => {
+    const values = ['a,b', '"quoted"', 'line\r\nbreak', '', 'plain'];
+    assert.deepStrictEqual(parseCsv(formatCsvRow(values)), [values]);
+});
@@ -1,3 +1,6 @@
+-- test fixture: db/schema.sql as db/init.js applied it before there were
+-- migrations, for testing that such databases upgrade
+
 -- Reading List Manager Database Schema
 --
 -- This file defines the database structure for the Reading List Manager application.
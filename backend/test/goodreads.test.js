@@ -0,0 +1,155 @@
+// tests for the Goodreads export mapping in utils/goodreads.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { GOODREADS_COLUMNS, mapGoodreadsRecord, toGoodreadsRow } = require('../utils/goodreads');
+
+test('mapGoodreadsRecord maps a read book with its dates', () => {
+    const { bookData, addedAt, startedAt, finishedAt, warnings } = mapGoodreadsRecord({
+        'Title': 'Dune (Dune, #1)',
+        'Author': 'Frank Herbert',
+        'ISBN': '="0441013597"',
+        'ISBN13': '="9780441013593"',
+        'My Rating': '5',
+        'Number of Pages': '688',
+        'Year Published': '2005',
+        'Original Publication Year': '1965',
+        'Date Read': '2023/05/14',
+        'Date Added': '2023/01/02',
+        'Exclusive Shelf': 'read',
+        'My Review': 'Loved it.<br/><br/>Spice <i>must</i> flow'
+    });
+
+    assert.deepStrictEqual(bookData, {
+        title: 'Dune (Dune, #1)',
+        author: 'Frank Herbert',
+        status: 'read',
+        isbn: '9780441013593',
+        page_count: 688,
+        published_date: '1965',
+        rating: 5,
+        review: 'Loved it.\n\nSpice must flow'
+    });
+    // noon, so the date is the same day in every time zone
+    assert.strictEqual(addedAt, '2023-01-02 12:00:00');
+    assert.strictEqual(startedAt, null);
+    assert.strictEqual(finishedAt, '2023-05-14 12:00:00');
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('mapGoodreadsRecord leaves out empty values', () => {
+    const { bookData, addedAt, finishedAt } = mapGoodreadsRecord({
+        'Title': 'Emma',
+        'Author': 'Jane Austen',
+        'ISBN': '=""',
+        'ISBN13': '=""',
+        'My Rating': '0',
+        'Exclusive Shelf': 'to-read'
+    });
+
+    assert.strictEqual(bookData.isbn, null);
+    assert.strictEqual(bookData.rating, null);
+    assert.strictEqual(bookData.page_count, null);
+    assert.strictEqual(bookData.published_date, null);
+    assert.strictEqual(bookData.review, null);
+    assert.strictEqual(addedAt, null);
+    assert.strictEqual(finishedAt, null);
+});
+
+test('mapGoodreadsRecord starts currently-reading books when they were added', () => {
+    const { bookData, startedAt } = mapGoodreadsRecord({
+        'Title': 'Emma',
+        'Date Added': '2024/02/01',
+        'Exclusive Shelf': 'currently-reading'
+    });
+
+    assert.strictEqual(bookData.status, 'reading');
+    assert.strictEqual(startedAt, '2024-02-01 12:00:00');
+});
+
+test('mapGoodreadsRecord finishes read books without a read date when they were added', () => {
+    const { finishedAt } = mapGoodreadsRecord({
+        'Title': 'Emma',
+        'Date Added': '2024/02/01',
+        'Exclusive Shelf': 'read'
+    });
+
+    assert.strictEqual(finishedAt, '2024-02-01 12:00:00');
+});
+
+test('mapGoodreadsRecord imports unknown shelves as to-read with a warning', () => {
+    const { bookData, warnings } = mapGoodreadsRecord({
+        'Title': 'Emma',
+        'Exclusive Shelf': 'Did-Not-Finish'
+    });
+
+    assert.strictEqual(bookData.status, 'to-read');
+    assert.deepStrictEqual(warnings, ['Unknown shelf "did-not-finish" imported as to-read']);
+});
+
+test('toGoodreadsRow gives a value for every Goodreads column', () => {
+    const row = toGoodreadsRow({
+        title: 'Dune',
+        author: 'Frank Herbert',
+        status: 'reading',
+        isbn: '9780441013593',
+        rating: 4.5,
+        page_count: 688,
+        published_date: '1965-08-01',
+        created_at: '2023-01-02 09:30:00',
+        last_finished_at: null,
+        review: 'Line one\nLine two',
+        notes: 'private',
+        tags: ['Science Fiction', 'classics'],
+        read_count: 1
+    }, ['Book club 2026', 'classics']);
+
+    assert.strictEqual(row.length, GOODREADS_COLUMNS.length);
+    const values = Object.fromEntries(GOODREADS_COLUMNS.map((column, index) => [column, row[index]]));
+
+    assert.strictEqual(values['Title'], 'Dune');
+    assert.strictEqual(values['Author l-f'], 'Herbert, Frank');
+    assert.strictEqual(values['ISBN'], '=""');
+    assert.strictEqual(values['ISBN13'], '="9780441013593"');
+    assert.strictEqual(values['My Rating'], 5);
+    assert.strictEqual(values['Year Published'], '1965');
+    assert.strictEqual(values['Date Read'], '');
+    assert.strictEqual(values['Date Added'], '2023/01/02');
+    assert.strictEqual(values['Bookshelves'], 'book-club-2026, classics, science-fiction');
+    assert.strictEqual(values['Exclusive Shelf'], 'currently-reading');
+    assert.strictEqual(values['My Review'], 'Line one<br/>Line two');
+    assert.strictEqual(values['Private Notes'], 'private');
+    assert.strictEqual(values['Read Count'], 1);
+});
+
+test('a book exported with toGoodreadsRow imports back the same', () => {
+    const book = {
+        title: 'Emma',
+        author: 'Jane Austen',
+        status: 'read',
+        isbn: '0141439580',
+        rating: 4,
+        page_count: 474,
+        published_date: '1815',
+        created_at: '2024-02-01 12:00:00',
+        last_finished_at: '2024-03-10 12:00:00',
+        review: 'Matchmaking\ngone wrong'
+    };
+    const row = toGoodreadsRow(book);
+    const record = Object.fromEntries(GOODREADS_COLUMNS.map((column, index) => [column, String(row[index])]));
+    const { bookData, addedAt, finishedAt } = mapGoodreadsRecord(record);
+
+    assert.deepStrictEqual(bookData, {
+        title: book.title,
+        author: book.author,
+        status: book.status,
+        isbn: book.isbn,
+        page_count: book.page_count,
+        published_date: book.published_date,
+        rating: book.rating,
+        review: book.review
+    });
+    assert.strictEqual(addedAt, book.created_at);
+    assert.strictEqual(finishedAt, book.last_finished_at);
+});
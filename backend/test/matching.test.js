@@ -0,0 +1,99 @@
+// tests for the book matching helpers in utils/matching.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    normaliseTitle,
+    normaliseAuthor,
+    titleAuthorKey,
+    toIsbn13,
+    matchBooks,
+    createBookIndex,
+    mergeNotes
+} = require('../utils/matching');
+
+test('normaliseTitle drops case, accents, punctuation, subtitles and leading articles', () => {
+    assert.strictEqual(
+        normaliseTitle('The Fellowship of the Ring: Being the First Part of The Lord of the Rings'),
+        'fellowship of the ring'
+    );
+    assert.strictEqual(normaliseTitle('Émile, ou De l’éducation'), 'emile ou de l education');
+    assert.strictEqual(normaliseTitle('Dune - Deluxe Edition'), 'dune');
+    assert.strictEqual(normaliseTitle('Dune (Dune, #1)'), 'dune');
+    assert.strictEqual(normaliseTitle('Pride & Prejudice'), 'pride and prejudice');
+});
+
+test('normaliseTitle keeps a title that is nothing but an article or a subtitle', () => {
+    assert.strictEqual(normaliseTitle('The'), 'the');
+    assert.strictEqual(normaliseTitle('(Untitled)'), 'untitled');
+});
+
+test('normaliseAuthor ignores name order and punctuation', () => {
+    assert.strictEqual(normaliseAuthor('Herbert, Frank'), 'frank herbert');
+    assert.strictEqual(normaliseAuthor('Frank Herbert'), 'frank herbert');
+    assert.strictEqual(normaliseAuthor(null), '');
+});
+
+test('titleAuthorKey is the same for two spellings of the same book', () => {
+    assert.strictEqual(
+        titleAuthorKey('The Hobbit: or There and Back Again', 'J.R.R. Tolkien'),
+        titleAuthorKey('Hobbit (Illustrated Edition)', 'Tolkien, J. R. R.')
+    );
+    assert.notStrictEqual(titleAuthorKey('Dune', 'Frank Herbert'), titleAuthorKey('Dune', 'Brian Herbert'));
+});
+
+test('toIsbn13 converts ISBN-10s and rejects anything else', () => {
+    assert.strictEqual(toIsbn13('0441013597'), '9780441013593');
+    assert.strictEqual(toIsbn13('0-8044-2957-X'), '9780804429573');
+    assert.strictEqual(toIsbn13('978-0-441-01359-3'), '9780441013593');
+    assert.strictEqual(toIsbn13('12345'), null);
+    assert.strictEqual(toIsbn13(''), null);
+    assert.strictEqual(toIsbn13(null), null);
+});
+
+test('matchBooks prefers the ISBN and falls back to title and author', () => {
+    assert.strictEqual(
+        matchBooks({ title: 'Dune', isbn: '0441013597' }, { title: 'Something else', isbn: '9780441013593' }),
+        'isbn'
+    );
+    assert.strictEqual(
+        matchBooks({ title: 'Dune', author: 'Frank Herbert', isbn: '0441013597' }, { title: 'dune', author: 'Herbert, Frank', isbn: '9780340960196' }),
+        'title_author'
+    );
+    assert.strictEqual(matchBooks({ title: 'Dune', author: 'Frank Herbert' }, { title: 'Emma', author: 'Jane Austen' }), null);
+});
+
+test('createBookIndex finds the first book matching by ISBN or by title and author', () => {
+    const index = createBookIndex([
+        { id: 1, title: 'Emma', author: 'Jane Austen', isbn: null },
+        { id: 2, title: 'Dune: Deluxe Edition', author: 'Herbert, Frank', isbn: null },
+        { id: 3, title: 'Something Else', author: 'Someone', isbn: '9780441013593' }
+    ]);
+
+    assert.strictEqual(index.find({ title: 'Dune', author: 'Frank Herbert' }).id, 2);
+    assert.strictEqual(index.find({ title: 'Dune', author: 'Frank Herbert', isbn: '0441013597' }).id, 2);
+    assert.strictEqual(index.find({ title: 'Persuasion', author: 'Jane Austen' }), null);
+});
+
+test('createBookIndex findAll lists every match in the order the books were added', () => {
+    const index = createBookIndex([
+        { id: 1, title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: null },
+        { id: 2, title: 'Hobbit', author: 'J R R Tolkien', isbn: '9780261102217' }
+    ]);
+    index.add({ id: 3, title: 'A different title', author: 'Tolkien', isbn: '978-0-261-10221-7' });
+
+    const matches = index.findAll({ title: 'Hobbit', author: 'J.R.R. Tolkien', isbn: '9780261102217' });
+    assert.deepStrictEqual(
+        matches.map(({ book, match }) => [book.id, match]),
+        [[1, 'title_author'], [2, 'isbn'], [3, 'isbn']]
+    );
+});
+
+test('mergeNotes keeps both notes unless one already contains the other', () => {
+    assert.strictEqual(mergeNotes('first', 'second'), 'first\n\nsecond');
+    assert.strictEqual(mergeNotes('same note', ' same note '), 'same note');
+    assert.strictEqual(mergeNotes('short', 'short and longer'), 'short and longer');
+    assert.strictEqual(mergeNotes('', 'only'), 'only');
+    assert.strictEqual(mergeNotes(null, null), null);
+});
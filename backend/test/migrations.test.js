@@ -0,0 +1,215 @@
+// tests for the migration runner (utils/migrations.js and db/migrate.js)
+// and for upgrading databases made before there were migrations
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sqlite3 = require('sqlite3');
+
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = require('../utils/migrations');
+
+const MIGRATE_SCRIPT = path.join(__dirname, '../../db/migrate.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-list-test-'));
+let dbPath;
+let databases = 0;
+
+// run SQL against a database file with a connection of its own
+function withDatabase(file, callback) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file, (err) => {
+            if (err) {
+                return reject(err);
+            }
+            const query = (method, sql, params = []) => new Promise((done, fail) => {
+                db[method](sql, params, (error, result) => (error ? fail(error) : done(result)));
+            });
+            const exec = (sql) => new Promise((done, fail) => {
+                db.exec(sql, (error) => (error ? fail(error) : done()));
+            });
+
+            Promise.resolve()
+                .then(() => callback({ all: (sql, params) => query('all', sql, params), exec }))
+                .then(
+                    result => db.close(() => resolve(result)),
+                    error => db.close(() => reject(error))
+                );
+        });
+    });
+}
+
+// the tables, views, indexes and triggers a database has (not the bookkeeping ones)
+async function schemaObjects(file) {
+    const rows = await withDatabase(file, db => db.all(`
+        SELECT type, name FROM sqlite_master
+        WHERE name NOT LIKE 'sqlite_%' AND name NOT LIKE 'books_fts_%' AND name != 'schema_migrations'
+        ORDER BY type, name
+    `));
+    return rows.map(row => `${row.type} ${row.name}`);
+}
+
+async function columnNames(file, table) {
+    const columns = await withDatabase(file, db => db.all(`PRAGMA table_info(${table})`));
+    return columns.map(column => column.name).sort();
+}
+
+// a database made by an old db/init.js or server, with a few books in it
+async function createLegacyDatabase(fixture) {
+    await withDatabase(dbPath, db => db.exec(`
+        ${fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8')}
+
+        INSERT INTO users (username, password_hash) VALUES ('reader', 'hash'), ('other', 'hash');
+        INSERT INTO books (title, author, genre, status, notes, user_id) VALUES
+            ('Dune', 'Frank Herbert', 'Science Fiction', 'reading', 'the spice must flow', 1),
+            ('Emma', 'Jane Austen', NULL, 'read', NULL, 1),
+            ('Dune', 'Herbert, Frank', 'science fiction', 'to-read', NULL, 2);
+    `));
+}
+
+// the checks every upgraded database has to pass
+async function assertUpgraded() {
+    const migrations = loadMigrations();
+    const applied = await migrateUp(dbPath);
+    assert.strictEqual(applied.length, migrations.length);
+
+    const status = await getMigrationStatus(dbPath);
+    assert.ok(status.every(migration => migration.state === 'applied'));
+
+    // the same columns as a database created by the migrations
+    const freshPath = path.join(dir, 'fresh.db');
+    if (!fs.existsSync(freshPath)) {
+        await migrateUp(freshPath);
+    }
+    for (const table of ['users', 'books']) {
+        assert.deepStrictEqual(await columnNames(dbPath, table), await columnNames(freshPath, table));
+    }
+    // and the same tables, views, indexes and triggers, so the old
+    // public_book_stats view is gone too
+    assert.deepStrictEqual(await schemaObjects(dbPath), await schemaObjects(freshPath));
+    assert.ok(!(await schemaObjects(dbPath)).includes('view public_book_stats'));
+
+    await withDatabase(dbPath, async (db) => {
+        const books = await db.all('SELECT id, title, status, version, work_id FROM books ORDER BY id');
+        assert.deepStrictEqual(
+            books.map(book => [book.title, book.status, book.version]),
+            [['Dune', 'reading', 1], ['Emma', 'read', 1], ['Dune', 'to-read', 1]]
+        );
+
+        // both copies of Dune are linked to the same work
+        assert.ok(books.every(book => book.work_id));
+        assert.strictEqual(books[0].work_id, books[2].work_id);
+        assert.notStrictEqual(books[0].work_id, books[1].work_id);
+
+        // genres became tags, one per user
+        const tags = await db.all(`
+            SELECT t.user_id, t.name FROM book_tags bt JOIN tags t ON t.id = bt.tag_id ORDER BY bt.book_id
+        `);
+        assert.deepStrictEqual(
+            tags.map(tag => [tag.user_id, tag.name]),
+            [[1, 'Science Fiction'], [2, 'science fiction']]
+        );
+
+        // books being read or already read have a reading session
+        const sessions = await db.all('SELECT book_id, started_at IS NOT NULL as started, finished_at IS NOT NULL as finished FROM reading_sessions ORDER BY book_id');
+        assert.deepStrictEqual(
+            sessions.map(session => [session.book_id, session.started, session.finished]),
+            [[1, 1, 0], [2, 0, 1]]
+        );
+
+        // the search index covers the books already there
+        const found = await db.all("SELECT rowid FROM books_fts WHERE books_fts MATCH 'spice'");
+        assert.deepStrictEqual(found.map(row => row.rowid), [1]);
+    });
+}
+
+beforeEach(() => {
+    dbPath = path.join(dir, `reading_list_${++databases}.db`);
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('up applies every migration in order and status lists them as applied', async () => {
+    const migrations = loadMigrations();
+    assert.ok(migrations.length > 0);
+    assert.deepStrictEqual(
+        migrations.map(migration => migration.version),
+        [...migrations.map(migration => migration.version)].sort((a, b) => a - b)
+    );
+
+    const applied = await migrateUp(dbPath);
+    assert.deepStrictEqual(applied, migrations.map(migration => migration.name));
+
+    const status = await getMigrationStatus(dbPath);
+    assert.deepStrictEqual(status.map(migration => migration.state), migrations.map(() => 'applied'));
+
+    // nothing left to do the second time
+    assert.deepStrictEqual(await migrateUp(dbPath), []);
+});
+
+test('down --steps rolls back the latest migrations, newest first, and up applies them again', async () => {
+    const migrations = loadMigrations();
+    await migrateUp(dbPath);
+    const schema = await schemaObjects(dbPath);
+
+    execFileSync(process.execPath, [MIGRATE_SCRIPT, 'down', '--steps', '3'], {
+        env: { ...process.env, DB_PATH: dbPath },
+        stdio: 'ignore'
+    });
+
+    const status = await getMigrationStatus(dbPath);
+    assert.deepStrictEqual(
+        status.filter(migration => migration.state === 'pending').map(migration => migration.name),
+        migrations.slice(-3).map(migration => migration.name)
+    );
+
+    assert.deepStrictEqual(await migrateUp(dbPath), migrations.slice(-3).map(migration => migration.name));
+    assert.deepStrictEqual(await schemaObjects(dbPath), schema);
+});
+
+test('down rejects a --steps that is not a positive whole number', () => {
+    assert.throws(() => execFileSync(process.execPath, [MIGRATE_SCRIPT, 'down', '--steps', '0'], {
+        env: { ...process.env, DB_PATH: dbPath },
+        stdio: 'ignore'
+    }));
+});
+
+test('every migration rolls back cleanly and applies again', async () => {
+    const migrations = loadMigrations();
+    await migrateUp(dbPath);
+    const schema = await schemaObjects(dbPath);
+
+    const rolledBack = await migrateDown(dbPath, migrations.length);
+    assert.deepStrictEqual(rolledBack, migrations.map(migration => migration.name).reverse());
+    assert.deepStrictEqual(await schemaObjects(dbPath), []);
+
+    await migrateUp(dbPath);
+    assert.deepStrictEqual(await schemaObjects(dbPath), schema);
+});
+
+test('a failing migration leaves the database as it was', async () => {
+    const [first] = loadMigrations();
+    // a table in the way of an index the first migration creates, after its tables
+    await withDatabase(dbPath, db => db.exec('CREATE TABLE idx_books_user_id (id INTEGER);'));
+
+    await assert.rejects(migrateUp(dbPath), new RegExp(first.name));
+
+    const status = await getMigrationStatus(dbPath);
+    assert.ok(status.every(migration => migration.state === 'pending'));
+    assert.deepStrictEqual(await schemaObjects(dbPath), ['table idx_books_user_id']);
+});
+
+test('a database created from the old db/schema.sql upgrades', async () => {
+    await createLegacyDatabase('schema-before-migrations.sql');
+    await assertUpgraded();
+});
+
+test('a database created by the old server upgrades', async () => {
+    await createLegacyDatabase('server-before-migrations.sql');
+    await assertUpgraded();
+});
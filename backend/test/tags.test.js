@@ -0,0 +1,38 @@
+// tests for the tag queries in utils/db.js
+// run against a database of their own in a temporary directory
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-list-test-'));
+process.env.DB_PATH = path.join(dir, 'reading_list.db');
+
+const db = require('../utils/db');
+
+let userId;
+
+before(async () => {
+    await db.initializeDatabase();
+    userId = await db.createUser('reader', 'not-a-real-hash');
+});
+
+after(async () => {
+    await db.closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('getTagsByUserId matches a prefix literally, wildcards and all', async () => {
+    for (const name of ['100% true', '1000 pages', 'top_10', 'topics', 'back\\slash', 'backlog']) {
+        await db.createTag(userId, name);
+    }
+
+    const names = async (prefix) => (await db.getTagsByUserId(userId, prefix)).map(tag => tag.name);
+
+    assert.deepStrictEqual(await names('100%'), ['100% true']);
+    assert.deepStrictEqual(await names('top_'), ['top_10']);
+    assert.deepStrictEqual(await names('back\\'), ['back\\slash']);
+    assert.deepStrictEqual(await names('TOP'), ['top_10', 'topics']);
+});
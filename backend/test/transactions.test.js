@@ -0,0 +1,96 @@
+// tests for withTransaction and writes made alongside a transaction
+// run against a database of their own in a temporary directory
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reading-list-test-'));
+process.env.DB_PATH = path.join(dir, 'reading_list.db');
+
+const db = require('../utils/db');
+
+// longer than the busy timeout a connection waits for a lock
+const LONG_TRANSACTION_MS = 5500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let userId;
+
+before(async () => {
+    await db.initializeDatabase();
+    userId = await db.createUser('reader', 'not-a-real-hash');
+});
+
+after(async () => {
+    await db.closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a write made during a long transaction waits for it instead of failing', async () => {
+    const events = [];
+
+    const transaction = db.withTransaction(async () => {
+        await db.createTag(userId, 'in-transaction');
+        events.push('transaction wrote');
+        await sleep(LONG_TRANSACTION_MS);
+        events.push('transaction done');
+    });
+
+    // let the transaction take its lock first
+    await sleep(50);
+    const shelfId = await db.createShelf(userId, 'outside');
+    events.push('shelf created');
+
+    await transaction;
+
+    assert.ok(shelfId);
+    assert.deepStrictEqual(events, ['transaction wrote', 'transaction done', 'shelf created']);
+    assert.ok(await db.findTagByName(userId, 'in-transaction'));
+});
+
+test('a transaction is committed when its callback resolves and rolled back when it throws', async () => {
+    const tagId = await db.withTransaction(async (tx) => {
+        const result = await tx.executeModifyQuery('INSERT INTO tags (user_id, name) VALUES (?, ?)', [userId, 'kept']);
+        return result.id;
+    });
+    assert.ok(await db.getTagById(tagId));
+
+    await assert.rejects(db.withTransaction(async () => {
+        await db.createTag(userId, 'discarded');
+        throw new Error('changed my mind');
+    }), /changed my mind/);
+    assert.strictEqual(await db.findTagByName(userId, 'discarded'), undefined);
+});
+
+test('a failing nested transaction rolls back only its savepoint', async () => {
+    await db.withTransaction(async () => {
+        await db.createTag(userId, 'outer');
+
+        await assert.rejects(db.withTransaction(async () => {
+            await db.createTag(userId, 'inner');
+            throw new Error('inner failed');
+        }), /inner failed/);
+
+        // the outer transaction carries on and sees its own write only
+        assert.ok(await db.findTagByName(userId, 'outer'));
+        assert.strictEqual(await db.findTagByName(userId, 'inner'), undefined);
+
+        await db.withTransaction(() => db.createTag(userId, 'inner again'));
+    });
+
+    assert.ok(await db.findTagByName(userId, 'outer'));
+    assert.ok(await db.findTagByName(userId, 'inner again'));
+    assert.strictEqual(await db.findTagByName(userId, 'inner'), undefined);
+});
+
+test('a nested transaction that succeeded is rolled back with the outer one', async () => {
+    await assert.rejects(db.withTransaction(async () => {
+        await db.withTransaction(() => db.createTag(userId, 'released savepoint'));
+        throw new Error('outer failed');
+    }), /outer failed/);
+
+    assert.strictEqual(await db.findTagByName(userId, 'released savepoint'), undefined);
+});
@@ -0,0 +1,102 @@
+// CSV helpers
+// a small RFC 4180 reader and writer, enough for library imports and exports
+// such as Goodreads'
+
+// split CSV text into rows of fields
+// handles quoted fields with commas, escaped quotes ("") and line breaks,
+// CRLF or LF line endings and a leading byte order mark
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // last row when the file doesn't end with a newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// check whether a parsed row is empty (e.g. a blank line)
+function isBlankRow(fields) {
+    return fields.every(value => value.trim() === '');
+}
+
+// parse CSV text whose first row is a header into objects keyed by column name
+// each record also gets its row number as a spreadsheet would show it
+// (the header is row 1) as `_row`, blank rows are skipped
+function parseCsvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim());
+    const records = [];
+
+    rows.forEach((fields, index) => {
+        if (isBlankRow(fields)) {
+            return;
+        }
+
+        const record = { _row: index + 2 };
+        columns.forEach((column, position) => {
+            record[column] = fields[position] !== undefined ? fields[position] : '';
+        });
+        records.push(record);
+    });
+
+    return { columns, records };
+}
+
+// quote a value for CSV when it contains a delimiter, quote or line break
+// null and undefined become empty fields
+function formatCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// format one CSV line (with CRLF ending) from a list of values
+function formatCsvRow(values) {
+    return values.map(formatCsvField).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    formatCsvRow
+};
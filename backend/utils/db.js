@@ -2,121 +2,321 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { migrateUp } = require('./migrations');
+const { createBookIndex, mergeNotes, titleAuthorKey, toIsbn13 } = require('./matching');
+const { PUBLIC_STATS_MIN_READERS } = require('./privacy');
 
 // Database file path
-const DB_PATH = path.join(__dirname, '../../db/reading_list.db');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../../db/reading_list.db');
 
 // database connection
+//
+// ordinary reads share one connection, opened on first use and kept until
+// closeDatabase() is called. transactions run on a second connection of their
+// own (see withTransaction) so unrelated queries never end up inside them, and
+// writes go there too, one transaction at a time (see executeModifyQuery).
+// both run in WAL mode, so reads carry on while something is being written,
+// and with foreign keys enforced
+
+// how long to wait for a lock held by another connection before failing
+const BUSY_TIMEOUT_MS = 5000;
+
+// how many prepared statements to keep around per connection (least recently used go first)
+const STATEMENT_CACHE_SIZE = 100;
+
+let sharedConnection = null; // promise of the connection for ordinary queries
+let transactionConnection = null; // promise of the connection transactions run on
+
+// open and configure a new connection
+// resolves with { db, statements }, statements caching prepared statements by SQL
+function openConnection() {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(DB_PATH, (err) => {
+            if (err) {
+                console.error('Error opening database:', err.message);
+                return reject(err);
+            }
 
-function getConnection() {
-    return new sqlite3.Database(DB_PATH, (err) => {
-        if (err) {
-            console.error('Error opening database:', err.message);
-            throw err;
-        }
+            db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+            db.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;', (err) => {
+                if (err) {
+                    console.error('Error configuring database:', err.message);
+                    db.close();
+                    reject(err);
+                } else {
+                    resolve({ db, statements: new Map() });
+                }
+            });
+        });
     });
 }
 
-// execute a query with parameters
-function executeQuery(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        const db = getConnection();
+// the shared connection, opened the first time it is asked for
+function getSharedConnection() {
+    if (!sharedConnection) {
+        sharedConnection = openConnection().catch((err) => {
+            sharedConnection = null;
+            throw err;
+        });
+    }
+    return sharedConnection;
+}
 
-        db.all(sql, params, (err, rows) => {
-            if (err) {
-                console.error('Database query error:', err.message);
-                console.error('SQL:', sql);
-                console.error('Params:', params);
-                reject(err);
-            } else {
-                resolve(rows);
-            }
+// the transaction connection, opened the first time it is asked for
+function getTransactionConnection() {
+    if (!transactionConnection) {
+        transactionConnection = openConnection().catch((err) => {
+            transactionConnection = null;
+            throw err;
         });
+    }
+    return transactionConnection;
+}
+
+// finalize a connection's statements and close it
+// queries already queued are allowed to finish first
+async function closeConnection(connection) {
+    const entries = [...connection.statements.values()];
+    connection.statements.clear();
+    await Promise.all(entries.map(finalizeStatement));
 
-        db.close();
+    await new Promise((resolve, reject) => {
+        connection.db.close((err) => (err ? reject(err) : resolve()));
     });
 }
 
-// execute a query that returns a single row
-function executeQuerySingle(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        const db = getConnection();
+function finalizeStatement(entry) {
+    if (entry.finalized) {
+        return Promise.resolve();
+    }
+    entry.finalized = true;
+    return entry.ready.then(
+        statement => new Promise(resolve => statement.finalize(() => resolve())),
+        () => {} // never prepared, nothing to finalize
+    );
+}
 
-        db.get(sql, params, (err, row) => {
-            if (err) {
-                console.error('Database query error:', err.message);
-                reject(err);
-            } else {
-                resolve(row);
-            }
+// take a prepared statement for this SQL from the connection's cache, preparing
+// it the first time. every acquire must be paired with a releaseStatement, so
+// that a statement dropped from the cache is only finalized once nobody uses it
+function acquireStatement(connection, sql) {
+    const cache = connection.statements;
+    let entry = cache.get(sql);
+
+    if (entry) {
+        // re-inserted below so the map stays in least recently used order
+        cache.delete(sql);
+    } else {
+        entry = { users: 0, evicted: false, finalized: false };
+        entry.ready = new Promise((resolve, reject) => {
+            const statement = connection.db.prepare(sql, (err) => {
+                if (err) {
+                    if (cache.get(sql) === entry) {
+                        cache.delete(sql);
+                    }
+                    reject(err);
+                } else {
+                    resolve(statement);
+                }
+            });
         });
+    }
 
-        db.close();
-    });
+    entry.users++;
+    cache.set(sql, entry);
+
+    if (cache.size > STATEMENT_CACHE_SIZE) {
+        const [oldestSql, oldest] = cache.entries().next().value;
+        cache.delete(oldestSql);
+        oldest.evicted = true;
+        if (oldest.users === 0) {
+            finalizeStatement(oldest);
+        }
+    }
+
+    return entry;
 }
 
-// execute a query that modifies data (INSERT, UPDATE, DELETE)
-function executeModifyQuery(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        const db = getConnection();
+function releaseStatement(entry) {
+    entry.users--;
+    if (entry.evicted && entry.users === 0) {
+        finalizeStatement(entry);
+    }
+}
 
-        db.run(sql, params, function(err) {
-            if (err) {
-                console.error('Database modify error:', err.message);
-                reject(err);
-            } else {
-                resolve({
-                    id: this.lastID,
-                    changes: this.changes
-                });
-            }
+// run a cached statement with the given sqlite3 method ('all', 'get' or 'run')
+async function runStatement(connection, method, sql, params = []) {
+    const entry = acquireStatement(connection, sql);
+
+    try {
+        const statement = await entry.ready;
+        return await new Promise((resolve, reject) => {
+            statement[method](params, function(err, result) {
+                if (method === 'get') {
+                    // get stops after the first row; reset so the read doesn't stay open
+                    statement.reset(() => (err ? reject(err) : resolve(result)));
+                } else if (err) {
+                    reject(err);
+                } else if (method === 'run') {
+                    resolve({ id: this.lastID, changes: this.changes });
+                } else {
+                    resolve(result);
+                }
+            });
         });
+    } finally {
+        releaseStatement(entry);
+    }
+}
+
+// the connection a query should run on: the current transaction's when
+// called from inside withTransaction, otherwise the shared one
+function currentConnection() {
+    const tx = transactionContext.getStore();
+    return tx && tx.active ? tx.connection : getSharedConnection();
+}
+
+// execute a query with parameters
+async function executeQuery(sql, params = []) {
+    try {
+        return await runStatement(await currentConnection(), 'all', sql, params);
+    } catch (err) {
+        console.error('Database query error:', err.message);
+        console.error('SQL:', sql);
+        console.error('Params:', params);
+        throw err;
+    }
+}
+
+// execute a query that returns a single row
+async function executeQuerySingle(sql, params = []) {
+    try {
+        return await runStatement(await currentConnection(), 'get', sql, params);
+    } catch (err) {
+        console.error('Database query error:', err.message);
+        throw err;
+    }
+}
+
+// execute a query that modifies data (INSERT, UPDATE, DELETE)
+// resolves with { id, changes }
+// outside a transaction the write becomes a transaction of its own, so it
+// waits its turn behind the one running instead of failing with SQLITE_BUSY
+async function executeModifyQuery(sql, params = []) {
+    const tx = transactionContext.getStore();
+    if (!tx || !tx.active) {
+        return withTransaction(() => executeModifyQuery(sql, params));
+    }
+
+    try {
+        return await runStatement(tx.connection, 'run', sql, params);
+    } catch (err) {
+        console.error('Database modify error:', err.message);
+        throw err;
+    }
+}
+
+// escape the wildcards of a LIKE pattern (% and _) and the backslash used to
+// escape them, so user input matches literally. use with ESCAPE '\'
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// transactions
+//
+// withTransaction(async (tx) => { ... }) runs the callback in a transaction
+// that is committed when the callback resolves and rolled back if it throws.
+// every query made while it runs goes to the transaction, including those made
+// by the user, book, tag and shelf operations below, so they can be combined:
+//
+//     await withTransaction(async () => {
+//         await updateBook(bookId, data);
+//         return getBookById(bookId);
+//     });
+//
+// calling withTransaction again from inside opens a savepoint instead, so a
+// failing inner part is rolled back on its own and the error passed on.
+// tx has executeQuery, executeQuerySingle and executeModifyQuery for raw SQL.
+//
+// transactions take turns, one at a time, and so do writes made outside one
+// (see executeModifyQuery). nested calls should be awaited one after the
+// other rather than run in parallel
+
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve(); // settles when the last transaction queued has finished
+
+async function withTransaction(callback) {
+    const current = transactionContext.getStore();
+    if (current && current.active) {
+        return runInSavepoint(current, callback);
+    }
 
-        db.close();
+    // wait for our turn
+    const previous = transactionQueue;
+    let finished;
+    transactionQueue = new Promise(resolve => {
+        finished = resolve;
     });
+    await previous;
+
+    let tx = null;
+    try {
+        const connection = await getTransactionConnection();
+        tx = {
+            connection,
+            active: true,
+            savepoints: 0,
+            executeQuery,
+            executeQuerySingle,
+            executeModifyQuery
+        };
+
+        await runStatement(connection, 'run', 'BEGIN IMMEDIATE');
+        try {
+            const result = await transactionContext.run(tx, () => callback(tx));
+            await runStatement(connection, 'run', 'COMMIT');
+            return result;
+        } catch (error) {
+            await runStatement(connection, 'run', 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+    } finally {
+        // anything still holding on to tx runs outside the transaction from now on
+        if (tx) {
+            tx.active = false;
+        }
+        finished();
+    }
+}
+
+async function runInSavepoint(tx, callback) {
+    const name = `savepoint_${++tx.savepoints}`;
+    await runStatement(tx.connection, 'run', `SAVEPOINT ${name}`);
+
+    try {
+        const result = await callback(tx);
+        await runStatement(tx.connection, 'run', `RELEASE ${name}`);
+        return result;
+    } catch (error) {
+        await runStatement(tx.connection, 'run', `ROLLBACK TO ${name}`).catch(() => {});
+        await runStatement(tx.connection, 'run', `RELEASE ${name}`).catch(() => {});
+        throw error;
+    }
 }
 
 // database initialisation
 
+// bring the schema up to date by applying any pending migrations
+// (see db/migrations and utils/migrations.js)
 async function initializeDatabase() {
     try {
         console.log('Initialising database...');
 
-        // create users table
-        await executeModifyQuery(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('User Table ensured')
-        // create books table with foreign key to users
-        await executeModifyQuery(`
-            CREATE TABLE IF NOT EXISTS books (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                author TEXT,
-                genre TEXT,
-                status TEXT CHECK(status IN ('read', 'reading', 'to-read')) DEFAULT 'to-read',
-                notes TEXT,
-                user_id INTEGER NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-        console.log('Books table ensured');
-        // create any indexes for performance
-        await executeModifyQuery(`
-            CREATE INDEX IF NOT EXISTS idx_books_user_id ON books(user_id)
-        `);
-
-        await executeModifyQuery(`
-            CREATE INDEX IF NOT EXISTS idx_books_status ON books(status)
-        `);
-        console.log('Indexes created');
+        const applied = await migrateUp(DB_PATH);
+        if (applied.length === 0) {
+            console.log('Database schema is up to date');
+        }
 
         console.log('✅ Database initialisation complete');
     } catch (error) {
@@ -150,7 +350,7 @@ async function findUserByUsername(username) {
     try {
         // query database for user with given username
         const sql = `
-            SELECT id, username, password_hash, created_at
+            SELECT id, username, password_hash, role, created_at
             FROM users
             WHERE username = ?
         `;
@@ -167,7 +367,7 @@ async function findUserById(userId) {
     try {
         // query database for user with given ID
         const sql = `
-            SELECT id, username, created_at
+            SELECT id, username, role, created_at
             FROM users
             WHERE id = ?
         `;
@@ -179,6 +379,37 @@ async function findUserById(userId) {
     }
 }
 
+// get a user's account settings
+async function getUserSettings(userId) {
+    try {
+        const row = await executeQuerySingle(
+            'SELECT public_stats_opt_out FROM users WHERE id = ?',
+            [userId]
+        );
+        return row ? { public_stats_opt_out: row.public_stats_opt_out === 1 } : null;
+    } catch (error) {
+        console.error('Error getting user settings:', error);
+        throw error;
+    }
+}
+
+// update a user's account settings
+// settings: { public_stats_opt_out } (only the ones given are changed)
+async function updateUserSettings(userId, settings) {
+    try {
+        if (settings.public_stats_opt_out !== undefined) {
+            await executeModifyQuery(
+                'UPDATE users SET public_stats_opt_out = ? WHERE id = ?',
+                [settings.public_stats_opt_out ? 1 : 0, userId]
+            );
+        }
+        return await getUserSettings(userId);
+    } catch (error) {
+        console.error('Error updating user settings:', error);
+        throw error;
+    }
+}
+
 // book operations
 
 // create a new book
@@ -189,46 +420,57 @@ async function createBook(bookData) {
         }
 
         const insertSql = `
-            INSERT INTO books (title, author, genre, status, notes, user_id)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO books (
+                title, author, status, notes,
+                isbn, page_count, cover_url, published_date, language, google_books_id,
+                rating, review, user_id, work_id
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const params = [
             bookData.title,
             bookData.author || null,
-            bookData.genre || null,
             bookData.status || 'to-read',
             bookData.notes || null,
+            bookData.isbn || null,
+            bookData.page_count || null,
+            bookData.cover_url || null,
+            bookData.published_date || null,
+            bookData.language || null,
+            bookData.google_books_id || null,
+            bookData.rating || null,
+            bookData.review || null,
             bookData.user_id
         ];
 
-        // Insert the book
-        const result = await executeModifyQuery(insertSql, params);
+        // the book and its sessions, tags and shelves are saved together or not at all
+        return await withTransaction(async () => {
+            // Insert the book, linked to its work
+            params.push(await findOrCreateWork(bookData));
+            const result = await executeModifyQuery(insertSql, params);
 
-        if (!result.id) {
-            throw new Error('Insert failed: No ID returned');
-        }
-
-        console.log('✅ Inserted book ID:', result.id);
-
-        // Try to fetch the inserted book
-        let book = await executeQuerySingle(`SELECT * FROM books WHERE id = ?`, [result.id]);
+            if (!result.id) {
+                throw new Error('Insert failed: No ID returned');
+            }
 
-        // Retry once if not found
-        if (!book) {
-            console.warn('⚠️ Book not found immediately after insert. Retrying...');
-            await new Promise(resolve => setTimeout(resolve, 100)); // 100ms delay
-            book = await executeQuerySingle(`SELECT * FROM books WHERE id = ?`, [result.id]);
-        }
+            await syncReadingSession(result.id, null, bookData.status || 'to-read');
 
-        if (!book) {
-            throw new Error('Inserted book could not be retrieved');
-        }
+            if (bookData.tags && bookData.tags.length > 0) {
+                await setBookTags(result.id, bookData.user_id, bookData.tags);
+            }
 
-        console.log('📘 Retrieved book:', book);
+            if (bookData.shelf_ids && bookData.shelf_ids.length > 0) {
+                await setBookShelves(result.id, bookData.user_id, bookData.shelf_ids);
+            }
 
-        return book;
+            const book = await getBookById(result.id);
+            if (!book) {
+                throw new Error('Inserted book could not be retrieved');
+            }
 
+            return book;
+        });
     } catch (error) {
         console.error('❌ Error creating book:', error);
         throw error;
@@ -236,36 +478,177 @@ async function createBook(bookData) {
 }
 
 
-// get books by user ID with optional filtering
-async function getBooksByUserId(userId, filters = {}) {
+// columns returned for a book (user_id is added where ownership matters)
+// tags and shelf_ids come back as JSON array strings, see parseBookRow
+const BOOK_COLUMNS = `
+    id, title, author, status, notes,
+    isbn, page_count, cover_url, published_date, language, google_books_id,
+    current_page, progress_percent, rating, review,
+    (SELECT COUNT(*) FROM reading_sessions s
+        WHERE s.book_id = books.id AND s.finished_at IS NOT NULL) as read_count,
+    (SELECT MAX(s.finished_at) FROM reading_sessions s
+        WHERE s.book_id = books.id) as last_finished_at,
+    (SELECT json_group_array(name) FROM (
+        SELECT t.name FROM book_tags bt
+        JOIN tags t ON t.id = bt.tag_id
+        WHERE bt.book_id = books.id
+        ORDER BY t.name
+    )) as tags,
+    (SELECT json_group_array(shelf_id) FROM (
+        SELECT bs.shelf_id FROM book_shelves bs
+        JOIN shelves sh ON sh.id = bs.shelf_id
+        WHERE bs.book_id = books.id
+        ORDER BY sh.position, sh.id
+    )) as shelf_ids,
+    work_id, version, created_at, updated_at
+`;
+
+// turn the JSON columns of a book row into real values
+function parseBookRow(row) {
+    if (!row) {
+        return row;
+    }
+    return {
+        ...row,
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        shelf_ids: row.shelf_ids ? JSON.parse(row.shelf_ids) : []
+    };
+}
+
+// columns the personal book list can be sorted by
+// maps the public sort key to the SQL expression used in ORDER BY
+const BOOK_SORT_FIELDS = {
+    title: 'title COLLATE NOCASE',
+    author: 'author COLLATE NOCASE',
+    status: 'status',
+    rating: 'rating',
+    created_at: 'created_at',
+    updated_at: 'updated_at'
+};
+
+// weights for bm25 ranking: title matches count most, then author, then notes
+const SEARCH_RANK = 'bm25(books_fts, 10.0, 5.0, 1.0)';
+
+// turn what the user typed into an FTS5 query
+// "quoted text" is matched as a phrase, other words as prefixes (dun -> dune),
+// and every part has to match. returns null when nothing searchable is left
+function buildSearchQuery(search) {
+    const parts = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(search || '')) !== null) {
+        const isPhrase = match[1] !== undefined;
+        const text = (isPhrase ? match[1] : match[2]).replace(/["*]/g, '').trim();
+
+        // skip bits with no letters or digits, they have nothing to match
+        if (/[\p{L}\p{N}]/u.test(text)) {
+            parts.push(isPhrase ? `"${text}"` : `"${text}"*`);
+        }
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+// build the WHERE clause shared by the book list and its count query
+function buildBookFilterClause(userId, filters = {}) {
+    let clause = 'WHERE user_id = ? AND deleted_at IS NULL';
+    const params = [userId];
+
+    if (filters.status) {
+        clause += ' AND status = ?';
+        params.push(filters.status);
+    }
+
+    // books must carry every requested tag
+    (filters.tags || []).forEach(tag => {
+        clause += `
+            AND id IN (
+                SELECT bt.book_id FROM book_tags bt
+                JOIN tags t ON t.id = bt.tag_id
+                WHERE t.user_id = ? AND t.name = ?
+            )`;
+        params.push(userId, tag);
+    });
+
+    if (filters.shelfId) {
+        clause += ' AND id IN (SELECT book_id FROM book_shelves WHERE shelf_id = ?)';
+        params.push(filters.shelfId);
+    }
+
+    // full-text search over title, author and notes
+    if (filters.search) {
+        const searchQuery = buildSearchQuery(filters.search);
+        if (searchQuery) {
+            clause += ' AND id IN (SELECT rowid FROM books_fts WHERE books_fts MATCH ?)';
+            params.push(searchQuery);
+        } else {
+            // nothing searchable was typed, so nothing can match
+            clause += ' AND 0';
+        }
+    }
+
+    return { clause, params };
+}
+
+// build an ORDER BY clause from a list of { field, direction } pairs
+// unknown fields are ignored, id is always appended so paging is stable.
+// without a sort, ranked (search) results come best match first
+function buildBookOrderClause(sort = [], ranked = false) {
+    const parts = sort
+        .filter(({ field }) => BOOK_SORT_FIELDS[field])
+        .map(({ field, direction }) =>
+            `${BOOK_SORT_FIELDS[field]} ${direction === 'desc' ? 'DESC' : 'ASC'}`
+        );
+
+    if (parts.length === 0) {
+        parts.push(ranked ? 'search.search_rank' : 'created_at DESC');
+    }
+    parts.push('id DESC');
+
+    return `ORDER BY ${parts.join(', ')}`;
+}
+
+// get books by user ID with optional filtering, sorting and paging
+// options: { sort: [{ field, direction }], limit, offset }
+// when searching, each book also gets a snippet of the best matching text
+// with the matches wrapped in <mark></mark>
+async function getBooksByUserId(userId, filters = {}, options = {}) {
     try {
-        // build SQL query with WHERE clauses for filters
-            let sql = `
-            SELECT id, title, author, genre, status, notes, created_at, updated_at
+        const { clause, params } = buildBookFilterClause(userId, filters);
+        const searchQuery = filters.search ? buildSearchQuery(filters.search) : null;
+
+        let sql = `
+            SELECT ${BOOK_COLUMNS}${searchQuery ? ', search.snippet' : ''}
             FROM books
-            WHERE user_id = ?
         `;
-         const params = [userId];
-        // handle search functionality (title and author)
-        if (filters.status) {
-            sql += ' AND status = ?';
-            params.push(filters.status);
-        }
 
-        if (filters.genre) {
-            sql += ' AND genre = ?';
-            params.push(filters.genre);
+        if (searchQuery) {
+            sql += `
+                JOIN (
+                    SELECT rowid AS book_id,
+                           ${SEARCH_RANK} AS search_rank,
+                           snippet(books_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet
+                    FROM books_fts
+                    WHERE books_fts MATCH ?
+                ) search ON search.book_id = books.id
+            `;
+            params.unshift(searchQuery);
         }
 
-        if (filters.search) {
-            sql += ' AND (title LIKE ? OR author LIKE ?)';
-            const searchPattern = `%${filters.search}%`;
-            params.push(searchPattern, searchPattern);
+        sql += `
+            ${clause}
+            ${buildBookOrderClause(options.sort, !!searchQuery)}
+        `;
+
+        if (options.limit) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(options.limit, options.offset || 0);
         }
 
-        sql += ' ORDER BY created_at DESC';
         // return array of books for the user
-        return await executeQuery(sql, params);
+        const rows = await executeQuery(sql, params);
+        return rows.map(parseBookRow);
 
     } catch (error) {
         console.error('Error getting books by user ID:', error);
@@ -273,56 +656,149 @@ async function getBooksByUserId(userId, filters = {}) {
     }
 }
 
+// count books by user ID using the same filters as getBooksByUserId
+async function countBooksByUserId(userId, filters = {}) {
+    try {
+        const { clause, params } = buildBookFilterClause(userId, filters);
+        const result = await executeQuerySingle(
+            `SELECT COUNT(*) as total FROM books ${clause}`,
+            params
+        );
+        return result.total;
+    } catch (error) {
+        console.error('Error counting books by user ID:', error);
+        throw error;
+    }
+}
+
 // get a single book by ID
 async function getBookById(bookId) {
     try {
         // query database for book with given ID
         const sql = `
-            SELECT id, title, author, genre, status, notes, user_id, created_at, updated_at
+            SELECT ${BOOK_COLUMNS}, user_id
             FROM books
-            WHERE id = ?
+            WHERE id = ? AND deleted_at IS NULL
         `;
         // return book object with all fields
-        return await executeQuerySingle(sql, [bookId]);
+        return parseBookRow(await executeQuerySingle(sql, [bookId]));
     } catch (error) {
         console.error('Error getting book by ID:', error);
         throw error;
     }
 }
 
-// update a book
-async function updateBook(bookId, updateData) {
+// update a book, writing every column
+// columns missing from updateData are cleared; tags and shelf_ids are only
+// replaced when given. see patchBook for the version option and what it returns
+async function updateBook(bookId, updateData, options = {}) {
     try {
-        // build UPDATE query with provided fields
-        const sql = `
-            UPDATE books
-            SET title = ?, author = ?, genre = ?, status = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `;
-        // update the updated_at timestamp
-        const params = [
-            updateData.title,
-            updateData.author,
-            updateData.genre,
-            updateData.status,
-            updateData.notes,
-            bookId
-        ];
-
-        const result = await executeModifyQuery(sql, params);
-        // return success status
-        return result.changes > 0;
+        return await patchBook(bookId, {
+            title: updateData.title ?? null,
+            author: updateData.author ?? null,
+            status: updateData.status ?? null,
+            notes: updateData.notes ?? null,
+            isbn: updateData.isbn || null,
+            page_count: updateData.page_count || null,
+            cover_url: updateData.cover_url || null,
+            published_date: updateData.published_date || null,
+            language: updateData.language || null,
+            google_books_id: updateData.google_books_id || null,
+            rating: updateData.rating || null,
+            review: updateData.review || null,
+            tags: updateData.tags,
+            shelf_ids: updateData.shelf_ids
+        }, options);
     } catch (error) {
         console.error('Error updating book:', error);
         throw error;
     }
 }
 
+// columns of a book that updates can set
+const BOOK_UPDATE_COLUMNS = [
+    'title', 'author', 'status', 'notes',
+    'isbn', 'page_count', 'cover_url', 'published_date', 'language', 'google_books_id',
+    'rating', 'review'
+];
+
+// update some of a book's fields, leaving the rest as they are
+// only the columns present in changes (not undefined) are written, plus tags
+// and shelf_ids when given. the book as it was before is saved in its edit
+// history (see recordBookRevision).
+// options.version makes the update conditional: it only goes ahead while the
+// book is still at that version, otherwise nothing changes and false is returned.
+// options.syncSessions: false leaves the reading sessions alone when the status
+// changes (for callers that bring the reading history along themselves)
+async function patchBook(bookId, changes, options = {}) {
+    try {
+        return await withTransaction(async () => {
+            // remember the book as it was, so reading sessions can follow a
+            // status change and the edit history can record what changed
+            const previous = await getBookById(bookId);
+
+            // build the UPDATE from the columns being changed
+            const columns = BOOK_UPDATE_COLUMNS.filter(column => changes[column] !== undefined);
+            const assignments = columns.map(column => `${column} = ?`);
+            const params = columns.map(column => changes[column]);
+
+            // a new title, author or ISBN may make it a copy of another work
+            const workFields = ['title', 'author', 'isbn'];
+            if (previous && workFields.some(field => changes[field] !== undefined)) {
+                const linked = {};
+                workFields.forEach(field => {
+                    linked[field] = changes[field] !== undefined ? changes[field] : previous[field];
+                });
+                assignments.push('work_id = ?');
+                params.push(await findOrCreateWork(linked));
+            }
+
+            // the update timestamp moves even when only tags or shelves change
+            assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+            let sql = `UPDATE books SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
+            params.push(bookId);
+
+            if (options.version !== undefined) {
+                sql += ' AND version = ?';
+                params.push(options.version);
+            }
+
+            const result = await executeModifyQuery(sql, params);
+
+            if (previous && result.changes > 0) {
+                if (changes.status !== undefined && options.syncSessions !== false) {
+                    await syncReadingSession(bookId, previous.status, changes.status);
+                }
+
+                // tags are only replaced when the caller sends them
+                if (changes.tags !== undefined) {
+                    await setBookTags(bookId, previous.user_id, changes.tags || []);
+                }
+
+                // same for shelf membership
+                if (changes.shelf_ids !== undefined) {
+                    await setBookShelves(bookId, previous.user_id, changes.shelf_ids || []);
+                }
+
+                await recordBookRevision(previous, await getBookById(bookId));
+            }
+
+            // return success status
+            return result.changes > 0;
+        });
+    } catch (error) {
+        console.error('Error patching book:', error);
+        throw error;
+    }
+}
+
 // delete a book
+// the book is moved to the trash: it stays in the database with deleted_at set,
+// left out of every other query, until it is restored or purged
 async function deleteBook(bookId) {
     try {
-        // delete book from database
-        const sql = 'DELETE FROM books WHERE id = ?';
+        const sql = 'UPDATE books SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL';
         const result = await executeModifyQuery(sql, [bookId]);
         // return success status
         return result.changes > 0;
@@ -332,144 +808,1727 @@ async function deleteBook(bookId) {
     }
 }
 
-// public statistics
-
-// get public book statistics (anonymised)
-async function getPublicBookStats() {
-    try {
-        // get most popular books (by count)
-        const popularBooks = await executeQuery(`
-            SELECT title, author, COUNT(*) as times_added
-            FROM books
-            GROUP BY title, author
-            HAVING COUNT(*) >= 1
-            ORDER BY times_added DESC, title ASC
-            LIMIT 10
-        `);
-
-        // get most popular genres
-        const popularGenres = await executeQuery(`
-            SELECT genre, COUNT(*) as count
-            FROM books
-            WHERE genre IS NOT NULL AND genre != ''
-            GROUP BY genre
-            ORDER BY count DESC
-            LIMIT 10
-        `);
+// duplicate detection and merging
 
-        // get reading status distribution
-        const statusDistribution = await executeQuery(`
-            SELECT status, COUNT(*) as count
-            FROM books
-            GROUP BY status
-            ORDER BY count DESC
-        `);
+// how far along each status is, for keeping the further one when merging
+const STATUS_ORDER = ['to-read', 'reading', 'read'];
 
-        // get top authors
-        const topAuthors = await executeQuery(`
-            SELECT author, COUNT(*) as book_count
-            FROM books
-            WHERE author IS NOT NULL AND author != ''
-            GROUP BY author
-            ORDER BY book_count DESC
-            LIMIT 10
-        `);
+// fields a merged book takes from the other book when it has no value itself
+const MERGE_FILL_FIELDS = [
+    'author', 'isbn', 'page_count', 'cover_url', 'published_date', 'language',
+    'google_books_id', 'rating', 'review'
+];
 
-        // get total counts
-        const totalBooksResult = await executeQuerySingle('SELECT COUNT(*) as total FROM books');
-        const totalUsersResult = await executeQuerySingle('SELECT COUNT(*) as total FROM users');
+// find books in a user's library that look like the same book as bookData:
+// the same ISBN, or the same title and author ignoring case, punctuation,
+// subtitles and so on (see utils/matching). trashed books aren't included.
+// returns the matching books, each with match: 'isbn' or 'title_author'
+async function findDuplicateBooks(userId, bookData, excludeBookId = null) {
+    try {
+        const rows = await executeQuery(
+            'SELECT id, title, author, isbn FROM books WHERE user_id = ? AND deleted_at IS NULL ORDER BY id',
+            [userId]
+        );
 
-        return {
-            popular_books: popularBooks,
-            popular_genres: popularGenres,
-            popular_authors: topAuthors,
-            status_distribution: statusDistribution,
-            total_books: totalBooksResult.total,
-            total_users: totalUsersResult.total
-        };
+        const candidates = createBookIndex(rows.filter(row => row.id !== excludeBookId));
 
+        const duplicates = [];
+        for (const { book, match } of candidates.findAll(bookData)) {
+            duplicates.push({ ...(await getBookById(book.id)), match });
+        }
+        return duplicates;
     } catch (error) {
-        console.error('Error getting public book statistics:', error);
+        console.error('Error finding duplicate books:', error);
         throw error;
     }
 }
 
-// search books publicly (anonymised)
-async function searchPublicBooks(query, filters = {}) {
+// merge one book into another (both the user's)
+// the target keeps its own details and fills the gaps from the source, gets
+// both books' notes and tags, is put on both books' shelves, and keeps the
+// further-along status. the source's reading history (sessions and progress
+// log) and edit history move to the target, and the source goes to the trash.
+// the merge is one edit in the target's history. returns the merged book
+async function mergeBooks(targetBookId, sourceBookId) {
     try {
-        // search books by title and author
-        let sql = `
-            SELECT title, author, genre, COUNT(*) as popularity
-            FROM books
-            WHERE (title LIKE ? OR author LIKE ?)
-        `;
-
-        const params = [`%${query}%`, `%${query}%`];
+        return await withTransaction(async () => {
+            const target = await getBookById(targetBookId);
+            const source = await getBookById(sourceBookId);
+            if (!target || !source || target.id === source.id || target.user_id !== source.user_id) {
+                throw new Error('Books cannot be merged');
+            }
 
-        // apply genre filter if provided
-        if (filters.genre) {
-            sql += ' AND genre = ?';
-            params.push(filters.genre);
-        }
+            const changes = {
+                notes: mergeNotes(target.notes, source.notes),
+                tags: [...new Set([...target.tags, ...source.tags])],
+                shelf_ids: [...new Set([...target.shelf_ids, ...source.shelf_ids])]
+            };
 
-        // return results with popularity metrics
-        sql += `
-            GROUP BY title, author, genre
-            ORDER BY popularity DESC, title ASC
-            LIMIT 20
-        `;
+            MERGE_FILL_FIELDS.forEach(field => {
+                if ((target[field] === null || target[field] === undefined) && source[field] !== null) {
+                    changes[field] = source[field];
+                }
+            });
 
-        return await executeQuery(sql, params);
+            if (STATUS_ORDER.indexOf(source.status) > STATUS_ORDER.indexOf(target.status)) {
+                changes.status = source.status;
+            }
 
+            // the reading history comes across as it is, rather than the
+            // status change opening or closing a session of its own
+            await executeModifyQuery('UPDATE reading_sessions SET book_id = ? WHERE book_id = ?', [target.id, source.id]);
+            await executeModifyQuery('UPDATE reading_progress SET book_id = ? WHERE book_id = ?', [target.id, source.id]);
+            await executeModifyQuery('UPDATE book_revisions SET book_id = ? WHERE book_id = ?', [target.id, source.id]);
+            await executeModifyQuery(`
+                UPDATE books
+                SET current_page = COALESCE(current_page, ?),
+                    progress_percent = COALESCE(progress_percent, ?)
+                WHERE id = ?
+            `, [source.current_page, source.progress_percent, target.id]);
+
+            await patchBook(target.id, changes, { syncSessions: false });
+            await deleteBook(source.id);
+
+            return await getBookById(target.id);
+        });
     } catch (error) {
-        console.error('Error searching public books:', error);
+        console.error('Error merging books:', error);
         throw error;
     }
 }
 
-// utility functions
+// trash operations
 
-// close database connection (for cleanup)
-function closeDatabase() {
-    // TODO later: Implement database cleanup if needed
-    console.log('Database cleanup completed');
+// get a user's deleted books, most recently deleted first
+async function getDeletedBooksByUserId(userId) {
+    try {
+        const sql = `
+            SELECT ${BOOK_COLUMNS}, deleted_at
+            FROM books
+            WHERE user_id = ? AND deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC, id DESC
+        `;
+        const rows = await executeQuery(sql, [userId]);
+        return rows.map(parseBookRow);
+    } catch (error) {
+        console.error('Error getting deleted books:', error);
+        throw error;
+    }
 }
 
-// test database connection
-async function testConnection() {
+// get a single deleted book by ID (null if it doesn't exist or isn't deleted)
+async function getDeletedBookById(bookId) {
     try {
-        await executeQuerySingle('SELECT 1 as test');
-        console.log('Database connection test successful');
-        return true;
+        const sql = `
+            SELECT ${BOOK_COLUMNS}, user_id, deleted_at
+            FROM books
+            WHERE id = ? AND deleted_at IS NOT NULL
+        `;
+        return parseBookRow(await executeQuerySingle(sql, [bookId]));
     } catch (error) {
-        console.error('Database connection test failed:', error);
-        return false;
+        console.error('Error getting deleted book by ID:', error);
+        throw error;
     }
 }
 
-// Export all functions
-module.exports = {
+// take a book out of the trash
+async function restoreBook(bookId) {
+    try {
+        const result = await executeModifyQuery(
+            'UPDATE books SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+            [bookId]
+        );
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error restoring book:', error);
+        throw error;
+    }
+}
+
+// permanently delete a book from the trash
+// its progress log, reading sessions, tags and shelf memberships go with it
+async function purgeBook(bookId) {
+    try {
+        const result = await executeModifyQuery(
+            'DELETE FROM books WHERE id = ? AND deleted_at IS NOT NULL',
+            [bookId]
+        );
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error purging book:', error);
+        throw error;
+    }
+}
+
+// permanently delete everything in a user's trash, returns how many books went
+async function emptyTrash(userId) {
+    try {
+        const result = await executeModifyQuery(
+            'DELETE FROM books WHERE user_id = ? AND deleted_at IS NOT NULL',
+            [userId]
+        );
+        return result.changes;
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        throw error;
+    }
+}
+
+// permanently delete books that have been in the trash for longer than
+// retentionDays, for every user. returns how many books went
+async function purgeExpiredBooks(retentionDays) {
+    try {
+        const result = await executeModifyQuery(
+            "DELETE FROM books WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)",
+            [`-${retentionDays} days`]
+        );
+        return result.changes;
+    } catch (error) {
+        console.error('Error purging expired books:', error);
+        throw error;
+    }
+}
+
+// apply one action to many of a user's books at once, all or nothing
+// action is one of
+//   { type: 'set_status', status }
+//   { type: 'add_tag', tag } / { type: 'remove_tag', tag }
+//   { type: 'move_to_shelf', shelfId, fromShelfId } (fromShelfId optional)
+//   { type: 'delete' } (to the trash, like deleteBook)
+// books must already be checked to belong to the user. status and tag
+// changes go into each changed book's edit history, like any other edit.
+// returns how many books were changed
+async function applyBulkAction(userId, bookIds, action) {
+    try {
+        return await withTransaction(async () => {
+            let changed = 0;
+
+            // tag and shelf changes only write the link tables, so the book is
+            // touched as well to give it a new version (and ETag), as patchBook does
+            const touchBook = (bookId) => executeModifyQuery(
+                'UPDATE books SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [bookId]
+            );
+
+            for (const bookId of bookIds) {
+                if (action.type === 'set_status') {
+                    const previous = await getBookById(bookId);
+                    if (!previous || previous.user_id !== userId || previous.status === action.status) {
+                        continue;
+                    }
+                    await executeModifyQuery(
+                        'UPDATE books SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [action.status, bookId]
+                    );
+                    await syncReadingSession(bookId, previous.status, action.status);
+                    await recordBookRevision(previous, await getBookById(bookId));
+                    changed++;
+                } else if (action.type === 'add_tag') {
+                    const previous = await getBookById(bookId);
+                    await executeModifyQuery(
+                        'INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)',
+                        [userId, action.tag]
+                    );
+                    const result = await executeModifyQuery(`
+                        INSERT OR IGNORE INTO book_tags (book_id, tag_id)
+                        SELECT ?, id FROM tags WHERE user_id = ? AND name = ?
+                    `, [bookId, userId, action.tag]);
+                    if (result.changes > 0) {
+                        await touchBook(bookId);
+                        await recordBookRevision(previous, await getBookById(bookId));
+                    }
+                    changed += result.changes;
+                } else if (action.type === 'remove_tag') {
+                    const previous = await getBookById(bookId);
+                    const result = await executeModifyQuery(`
+                        DELETE FROM book_tags
+                        WHERE book_id = ?
+                          AND tag_id IN (SELECT id FROM tags WHERE user_id = ? AND name = ?)
+                    `, [bookId, userId, action.tag]);
+                    if (result.changes > 0) {
+                        await touchBook(bookId);
+                        await recordBookRevision(previous, await getBookById(bookId));
+                    }
+                    changed += result.changes;
+                } else if (action.type === 'move_to_shelf') {
+                    const added = await executeModifyQuery(
+                        'INSERT OR IGNORE INTO book_shelves (book_id, shelf_id) VALUES (?, ?)',
+                        [bookId, action.shelfId]
+                    );
+                    let removed = { changes: 0 };
+                    if (action.fromShelfId && action.fromShelfId !== action.shelfId) {
+                        removed = await executeModifyQuery(
+                            'DELETE FROM book_shelves WHERE book_id = ? AND shelf_id = ?',
+                            [bookId, action.fromShelfId]
+                        );
+                    }
+                    if (added.changes > 0 || removed.changes > 0) {
+                        await touchBook(bookId);
+                        changed++;
+                    }
+                } else if (action.type === 'delete') {
+                    const result = await executeModifyQuery(
+                        'UPDATE books SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+                        [bookId, userId]
+                    );
+                    changed += result.changes;
+                } else {
+                    throw new Error(`Unknown bulk action: ${action.type}`);
+                }
+            }
+
+            return changed;
+        });
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        throw error;
+    }
+}
+
+// book revision operations
+
+// fields kept in a book's edit history; reverting an edit sets them all back
+// (shelves are left alone, they organise books rather than describe them)
+const REVISION_FIELDS = [
+    'title', 'author', 'status', 'notes',
+    'isbn', 'page_count', 'cover_url', 'published_date', 'language', 'google_books_id',
+    'rating', 'review', 'tags'
+];
+
+// turn the JSON columns of a revision row into real values
+function parseRevisionRow(row) {
+    if (!row) {
+        return row;
+    }
+    return {
+        ...row,
+        snapshot: row.snapshot ? JSON.parse(row.snapshot) : undefined,
+        changes: JSON.parse(row.changes)
+    };
+}
+
+// save a revision for an edit, given the book before and after it
+// nothing is saved when none of the REVISION_FIELDS changed
+async function recordBookRevision(before, after) {
+    try {
+        const normalise = (value) => (value === undefined || value === '' ? null : value);
+        const snapshot = {};
+        const changes = {};
+
+        for (const field of REVISION_FIELDS) {
+            const from = normalise(before[field]);
+            const to = normalise(after[field]);
+            snapshot[field] = from;
+
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return null;
+        }
+
+        const result = await executeModifyQuery(
+            'INSERT INTO book_revisions (book_id, snapshot, changes) VALUES (?, ?, ?)',
+            [before.id, JSON.stringify(snapshot), JSON.stringify(changes)]
+        );
+        return result.id;
+    } catch (error) {
+        console.error('Error recording book revision:', error);
+        throw error;
+    }
+}
+
+// get the edit history for a book, newest first
+// each revision lists the changed fields with their values before and after
+async function getBookRevisions(bookId) {
+    try {
+        const sql = `
+            SELECT id, changes, created_at
+            FROM book_revisions
+            WHERE book_id = ?
+            ORDER BY id DESC
+        `;
+        const rows = await executeQuery(sql, [bookId]);
+        return rows.map(parseRevisionRow);
+    } catch (error) {
+        console.error('Error getting book revisions:', error);
+        throw error;
+    }
+}
+
+// get a single revision by ID, including the snapshot of the book before it
+async function getBookRevisionById(revisionId) {
+    try {
+        const row = await executeQuerySingle(
+            'SELECT id, book_id, snapshot, changes, created_at FROM book_revisions WHERE id = ?',
+            [revisionId]
+        );
+        return parseRevisionRow(row);
+    } catch (error) {
+        console.error('Error getting book revision by ID:', error);
+        throw error;
+    }
+}
+
+// put a book back the way it was before a revision (undoing that edit and
+// any made after it). the revert is an edit too, so it gets its own revision
+// and can be reverted in turn. returns the updated book
+async function revertBookToRevision(bookId, revisionId) {
+    try {
+        return await withTransaction(async () => {
+            const revision = await getBookRevisionById(revisionId);
+            if (!revision || revision.book_id !== bookId) {
+                throw new Error('Revision not found');
+            }
+
+            await updateBook(bookId, revision.snapshot);
+            return await getBookById(bookId);
+        });
+    } catch (error) {
+        console.error('Error reverting book:', error);
+        throw error;
+    }
+}
+
+// tag operations
+
+// get all of a user's tags with how many books carry each (trashed books aren't counted)
+// pass a prefix to narrow the list (used for autocomplete)
+async function getTagsByUserId(userId, prefix = null) {
+    try {
+        let sql = `
+            SELECT t.id, t.name, t.created_at, COUNT(bt.book_id) as book_count
+            FROM tags t
+            LEFT JOIN book_tags bt ON bt.tag_id = t.id
+                AND bt.book_id IN (SELECT id FROM books WHERE deleted_at IS NULL)
+            WHERE t.user_id = ?
+        `;
+        const params = [userId];
+
+        if (prefix) {
+            sql += " AND t.name LIKE ? ESCAPE '\\'";
+            params.push(`${escapeLike(prefix)}%`);
+        }
+
+        sql += ' GROUP BY t.id ORDER BY t.name';
+
+        return await executeQuery(sql, params);
+    } catch (error) {
+        console.error('Error getting tags by user ID:', error);
+        throw error;
+    }
+}
+
+// get a single tag by ID
+async function getTagById(tagId) {
+    try {
+        const sql = `
+            SELECT t.id, t.name, t.user_id, t.created_at, COUNT(bt.book_id) as book_count
+            FROM tags t
+            LEFT JOIN book_tags bt ON bt.tag_id = t.id
+                AND bt.book_id IN (SELECT id FROM books WHERE deleted_at IS NULL)
+            WHERE t.id = ?
+            GROUP BY t.id
+        `;
+        return await executeQuerySingle(sql, [tagId]);
+    } catch (error) {
+        console.error('Error getting tag by ID:', error);
+        throw error;
+    }
+}
+
+// find a user's tag by name (case-insensitive)
+async function findTagByName(userId, name) {
+    try {
+        return await executeQuerySingle(
+            'SELECT id, name, user_id, created_at FROM tags WHERE user_id = ? AND name = ?',
+            [userId, name]
+        );
+    } catch (error) {
+        console.error('Error finding tag by name:', error);
+        throw error;
+    }
+}
+
+// create a tag for a user, returns the new tag ID
+async function createTag(userId, name) {
+    try {
+        const result = await executeModifyQuery(
+            'INSERT INTO tags (user_id, name) VALUES (?, ?)',
+            [userId, name]
+        );
+        return result.id;
+    } catch (error) {
+        console.error('Error creating tag:', error);
+        throw error;
+    }
+}
+
+// rename a tag
+async function renameTag(tagId, name) {
+    try {
+        const result = await executeModifyQuery('UPDATE tags SET name = ? WHERE id = ?', [name, tagId]);
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        throw error;
+    }
+}
+
+// delete a tag and remove it from every book
+async function deleteTag(tagId) {
+    try {
+        return await withTransaction(async () => {
+            await executeModifyQuery('DELETE FROM book_tags WHERE tag_id = ?', [tagId]);
+            const result = await executeModifyQuery('DELETE FROM tags WHERE id = ?', [tagId]);
+            return result.changes > 0;
+        });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        throw error;
+    }
+}
+
+// replace the tags on a book with the given names
+// tags that don't exist yet for the user are created
+async function setBookTags(bookId, userId, tagNames) {
+    try {
+        await executeModifyQuery('DELETE FROM book_tags WHERE book_id = ?', [bookId]);
+
+        for (const name of tagNames) {
+            await executeModifyQuery(
+                'INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)',
+                [userId, name]
+            );
+            await executeModifyQuery(`
+                INSERT OR IGNORE INTO book_tags (book_id, tag_id)
+                SELECT ?, id FROM tags WHERE user_id = ? AND name = ?
+            `, [bookId, userId, name]);
+        }
+    } catch (error) {
+        console.error('Error setting book tags:', error);
+        throw error;
+    }
+}
+
+// shelf operations
+
+// get all of a user's shelves in their chosen order, with book counts
+// (trashed books aren't counted)
+async function getShelvesByUserId(userId) {
+    try {
+        const sql = `
+            SELECT sh.id, sh.name, sh.position, sh.created_at, sh.updated_at,
+                   COUNT(bs.book_id) as book_count
+            FROM shelves sh
+            LEFT JOIN book_shelves bs ON bs.shelf_id = sh.id
+                AND bs.book_id IN (SELECT id FROM books WHERE deleted_at IS NULL)
+            WHERE sh.user_id = ?
+            GROUP BY sh.id
+            ORDER BY sh.position, sh.id
+        `;
+        return await executeQuery(sql, [userId]);
+    } catch (error) {
+        console.error('Error getting shelves by user ID:', error);
+        throw error;
+    }
+}
+
+// get a single shelf by ID
+async function getShelfById(shelfId) {
+    try {
+        const sql = `
+            SELECT sh.id, sh.name, sh.position, sh.user_id, sh.created_at, sh.updated_at,
+                   COUNT(bs.book_id) as book_count
+            FROM shelves sh
+            LEFT JOIN book_shelves bs ON bs.shelf_id = sh.id
+                AND bs.book_id IN (SELECT id FROM books WHERE deleted_at IS NULL)
+            WHERE sh.id = ?
+            GROUP BY sh.id
+        `;
+        return await executeQuerySingle(sql, [shelfId]);
+    } catch (error) {
+        console.error('Error getting shelf by ID:', error);
+        throw error;
+    }
+}
+
+// find a user's shelf by name (case-insensitive)
+async function findShelfByName(userId, name) {
+    try {
+        return await executeQuerySingle(
+            'SELECT id, name, position, user_id, created_at FROM shelves WHERE user_id = ? AND name = ?',
+            [userId, name]
+        );
+    } catch (error) {
+        console.error('Error finding shelf by name:', error);
+        throw error;
+    }
+}
+
+// create a shelf at the end of the user's list, returns the new shelf ID
+async function createShelf(userId, name) {
+    try {
+        const result = await executeModifyQuery(`
+            INSERT INTO shelves (user_id, name, position)
+            SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM shelves WHERE user_id = ?
+        `, [userId, name, userId]);
+        return result.id;
+    } catch (error) {
+        console.error('Error creating shelf:', error);
+        throw error;
+    }
+}
+
+// rename a shelf
+async function renameShelf(shelfId, name) {
+    try {
+        const result = await executeModifyQuery(
+            'UPDATE shelves SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, shelfId]
+        );
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error renaming shelf:', error);
+        throw error;
+    }
+}
+
+// delete a shelf, the books on it are kept
+async function deleteShelf(shelfId) {
+    try {
+        return await withTransaction(async () => {
+            await executeModifyQuery('DELETE FROM book_shelves WHERE shelf_id = ?', [shelfId]);
+            const result = await executeModifyQuery('DELETE FROM shelves WHERE id = ?', [shelfId]);
+            return result.changes > 0;
+        });
+    } catch (error) {
+        console.error('Error deleting shelf:', error);
+        throw error;
+    }
+}
+
+// put a user's shelves in the given order (shelfIds lists every shelf once)
+async function reorderShelves(userId, shelfIds) {
+    try {
+        await withTransaction(async () => {
+            for (const [position, shelfId] of shelfIds.entries()) {
+                await executeModifyQuery(
+                    'UPDATE shelves SET position = ? WHERE id = ? AND user_id = ?',
+                    [position, shelfId, userId]
+                );
+            }
+        });
+    } catch (error) {
+        console.error('Error reordering shelves:', error);
+        throw error;
+    }
+}
+
+// add books to a shelf (books already on it are left alone)
+// returns how many books were newly added
+async function addBooksToShelf(shelfId, bookIds) {
+    try {
+        return await withTransaction(async () => {
+            let added = 0;
+            for (const bookId of bookIds) {
+                const result = await executeModifyQuery(
+                    'INSERT OR IGNORE INTO book_shelves (book_id, shelf_id) VALUES (?, ?)',
+                    [bookId, shelfId]
+                );
+                added += result.changes;
+            }
+            return added;
+        });
+    } catch (error) {
+        console.error('Error adding books to shelf:', error);
+        throw error;
+    }
+}
+
+// take a book off a shelf
+async function removeBookFromShelf(shelfId, bookId) {
+    try {
+        const result = await executeModifyQuery(
+            'DELETE FROM book_shelves WHERE shelf_id = ? AND book_id = ?',
+            [shelfId, bookId]
+        );
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error removing book from shelf:', error);
+        throw error;
+    }
+}
+
+// replace the shelves a book is on
+// shelf IDs that aren't the user's own are ignored
+async function setBookShelves(bookId, userId, shelfIds) {
+    try {
+        await executeModifyQuery('DELETE FROM book_shelves WHERE book_id = ?', [bookId]);
+
+        for (const shelfId of shelfIds) {
+            await executeModifyQuery(`
+                INSERT OR IGNORE INTO book_shelves (book_id, shelf_id)
+                SELECT ?, id FROM shelves WHERE id = ? AND user_id = ?
+            `, [bookId, shelfId, userId]);
+        }
+    } catch (error) {
+        console.error('Error setting book shelves:', error);
+        throw error;
+    }
+}
+
+// reading progress operations
+
+// record a progress update for a book and log it
+// progress is either { page } or { percent }; when the book has a page count
+// the other value is derived from it. reaching the end marks the book as read,
+// and any progress on a 'to-read' book moves it to 'reading'.
+// returns the updated book
+async function recordReadingProgress(bookId, progress) {
+    try {
+        return await withTransaction(async () => {
+            const book = await getBookById(bookId);
+            if (!book) {
+                throw new Error('Book not found');
+            }
+
+            let page = progress.page !== undefined && progress.page !== null ? progress.page : null;
+            let percent = progress.percent !== undefined && progress.percent !== null ? progress.percent : null;
+
+            if (page !== null && book.page_count) {
+                percent = Math.min(100, (page / book.page_count) * 100);
+            } else if (percent !== null && book.page_count) {
+                page = Math.round((percent / 100) * book.page_count);
+            }
+
+            // finished is decided before rounding, so 1999 of 2000 pages isn't the
+            // end of the book; an unfinished one is stored as 99.9% at most
+            const finished = percent !== null && percent >= 100;
+            if (percent !== null) {
+                percent = finished ? 100 : Math.min(99.9, Math.round(percent * 10) / 10);
+            }
+
+            let status = book.status;
+            if (finished) {
+                status = 'read';
+            } else if (status === 'to-read' && (page > 0 || percent > 0)) {
+                status = 'reading';
+            }
+
+            await executeModifyQuery(
+                'INSERT INTO reading_progress (book_id, page, percent) VALUES (?, ?, ?)',
+                [bookId, page, percent]
+            );
+
+            await executeModifyQuery(`
+                UPDATE books
+                SET current_page = ?, progress_percent = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [page, percent, status, bookId]);
+
+            await syncReadingSession(bookId, book.status, status);
+
+            return await getBookById(bookId);
+        });
+    } catch (error) {
+        console.error('Error recording reading progress:', error);
+        throw error;
+    }
+}
+
+// get the progress log for a book, newest first
+async function getReadingProgress(bookId) {
+    try {
+        const sql = `
+            SELECT id, page, percent, created_at
+            FROM reading_progress
+            WHERE book_id = ?
+            ORDER BY created_at DESC, id DESC
+        `;
+        return await executeQuery(sql, [bookId]);
+    } catch (error) {
+        console.error('Error getting reading progress:', error);
+        throw error;
+    }
+}
+
+// reading session operations
+
+// keep reading sessions in step with a status change
+// - starting to read opens a session (a new one if the book was already read)
+// - finishing closes the open session, or records a finish-only session
+// - moving back to 'to-read' leaves any open session for when reading resumes
+async function syncReadingSession(bookId, previousStatus, newStatus) {
+    if (!newStatus || previousStatus === newStatus) {
+        return;
+    }
+
+    const openSession = await executeQuerySingle(`
+        SELECT id FROM reading_sessions
+        WHERE book_id = ? AND finished_at IS NULL
+        ORDER BY id DESC
+        LIMIT 1
+    `, [bookId]);
+
+    if (newStatus === 'reading' && !openSession) {
+        await executeModifyQuery(
+            'INSERT INTO reading_sessions (book_id, started_at) VALUES (?, CURRENT_TIMESTAMP)',
+            [bookId]
+        );
+    } else if (newStatus === 'read' && openSession) {
+        await executeModifyQuery(`
+            UPDATE reading_sessions
+            SET finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [openSession.id]);
+    } else if (newStatus === 'read') {
+        await executeModifyQuery(
+            'INSERT INTO reading_sessions (book_id, finished_at) VALUES (?, CURRENT_TIMESTAMP)',
+            [bookId]
+        );
+    }
+}
+
+// get all reading sessions for a book, most recent first
+async function getReadingSessions(bookId) {
+    try {
+        const sql = `
+            SELECT id, book_id, started_at, finished_at, created_at, updated_at
+            FROM reading_sessions
+            WHERE book_id = ?
+            ORDER BY COALESCE(started_at, finished_at) DESC, id DESC
+        `;
+        return await executeQuery(sql, [bookId]);
+    } catch (error) {
+        console.error('Error getting reading sessions:', error);
+        throw error;
+    }
+}
+
+// get a single reading session by ID
+async function getReadingSessionById(sessionId) {
+    try {
+        const sql = `
+            SELECT id, book_id, started_at, finished_at, created_at, updated_at
+            FROM reading_sessions
+            WHERE id = ?
+        `;
+        return await executeQuerySingle(sql, [sessionId]);
+    } catch (error) {
+        console.error('Error getting reading session by ID:', error);
+        throw error;
+    }
+}
+
+// add a reading session manually (e.g. a read from before the app was used)
+async function createReadingSession(bookId, sessionData) {
+    try {
+        const result = await executeModifyQuery(
+            'INSERT INTO reading_sessions (book_id, started_at, finished_at) VALUES (?, ?, ?)',
+            [bookId, sessionData.started_at || null, sessionData.finished_at || null]
+        );
+        return await getReadingSessionById(result.id);
+    } catch (error) {
+        console.error('Error creating reading session:', error);
+        throw error;
+    }
+}
+
+// update the dates of a reading session
+async function updateReadingSession(sessionId, sessionData) {
+    try {
+        const sql = `
+            UPDATE reading_sessions
+            SET started_at = ?, finished_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        const result = await executeModifyQuery(sql, [
+            sessionData.started_at || null,
+            sessionData.finished_at || null,
+            sessionId
+        ]);
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error updating reading session:', error);
+        throw error;
+    }
+}
+
+// delete a reading session
+async function deleteReadingSession(sessionId) {
+    try {
+        const result = await executeModifyQuery('DELETE FROM reading_sessions WHERE id = ?', [sessionId]);
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error deleting reading session:', error);
+        throw error;
+    }
+}
+
+// import operations
+
+// import many books for a user in a single transaction
+// each entry is { bookData, addedAt, startedAt, finishedAt } with already
+// validated book data. a book the user already has (matched the same way as
+// findDuplicateBooks, including books earlier in the same import) is skipped,
+// so importing the same file twice is safe.
+// returns one { status: 'created' | 'duplicate', book_id } per entry, in order;
+// if anything fails nothing is imported
+async function importBooks(userId, entries) {
+    try {
+        return await withTransaction(async () => {
+            const results = [];
+            // the user's books are keyed once, so each row is looked up rather
+            // than compared against the whole library
+            const library = createBookIndex(await executeQuery(
+                'SELECT id, title, author, isbn FROM books WHERE user_id = ? AND deleted_at IS NULL ORDER BY id',
+                [userId]
+            ));
+
+            for (const { bookData, addedAt, startedAt, finishedAt } of entries) {
+                const existing = library.find(bookData);
+
+                if (existing) {
+                    results.push({ status: 'duplicate', book_id: existing.id });
+                    continue;
+                }
+
+                const inserted = await executeModifyQuery(`
+                    INSERT INTO books (
+                        title, author, status, notes, isbn, page_count, published_date,
+                        rating, review, user_id, work_id, created_at, updated_at
+                    )
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                            COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
+                `, [
+                    bookData.title,
+                    bookData.author || null,
+                    bookData.status,
+                    bookData.notes || null,
+                    bookData.isbn || null,
+                    bookData.page_count || null,
+                    bookData.published_date || null,
+                    bookData.rating || null,
+                    bookData.review || null,
+                    userId,
+                    await findOrCreateWork(bookData),
+                    addedAt || null
+                ]);
+
+                // reading history: an open read for books in progress, a finished one for read books
+                if (bookData.status === 'reading') {
+                    await executeModifyQuery(
+                        'INSERT INTO reading_sessions (book_id, started_at) VALUES (?, COALESCE(?, CURRENT_TIMESTAMP))',
+                        [inserted.id, startedAt || null]
+                    );
+                } else if (bookData.status === 'read') {
+                    await executeModifyQuery(
+                        'INSERT INTO reading_sessions (book_id, finished_at) VALUES (?, COALESCE(?, CURRENT_TIMESTAMP))',
+                        [inserted.id, finishedAt || null]
+                    );
+                }
+
+                library.add({ id: inserted.id, title: bookData.title, author: bookData.author || null, isbn: bookData.isbn || null });
+                results.push({ status: 'created', book_id: inserted.id });
+            }
+
+            return results;
+        });
+    } catch (error) {
+        console.error('Error importing books:', error);
+        throw error;
+    }
+}
+
+// works
+// a work is a book as such ("Dune"), shared by every reader who has a copy.
+// books are linked to one by ISBN or else by title and author (see
+// utils/matching.js). a work an admin merged into another keeps pointing at
+// it with merged_into_id, so later copies that match it find the other work
+
+const WORK_COLUMNS = `
+    id, title, author, isbn, merged_into_id,
+    (SELECT COUNT(*) FROM books WHERE books.work_id = works.id AND books.deleted_at IS NULL) as book_count,
+    created_at, updated_at
+`;
+
+// the work a book with this title, author and ISBN is a copy of, created if
+// there is none yet. returns the work id
+async function findOrCreateWork({ title, author, isbn }) {
+    try {
+        const isbn13 = toIsbn13(isbn);
+        const matchKey = titleAuthorKey(title, author);
+
+        // the ISBN decides when there is one, then title and author
+        const byIsbn = isbn13 && await executeQuerySingle(
+            'SELECT COALESCE(merged_into_id, id) as id FROM works WHERE isbn = ?',
+            [isbn13]
+        );
+        if (byIsbn) {
+            return byIsbn.id;
+        }
+
+        // works nothing was merged into are preferred, then the oldest
+        const byKey = await executeQuerySingle(`
+            SELECT COALESCE(merged_into_id, id) as id FROM works
+            WHERE match_key = ?
+            ORDER BY merged_into_id IS NOT NULL, id
+            LIMIT 1
+        `, [matchKey]);
+
+        if (byKey) {
+            // the work takes the ISBN if it has none yet
+            if (isbn13) {
+                await executeModifyQuery(
+                    'UPDATE works SET isbn = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND isbn IS NULL',
+                    [isbn13, byKey.id]
+                );
+            }
+            return byKey.id;
+        }
+
+        const result = await executeModifyQuery(
+            'INSERT INTO works (title, author, isbn, match_key) VALUES (?, ?, ?, ?)',
+            [title, author || null, isbn13, matchKey]
+        );
+        return result.id;
+    } catch (error) {
+        console.error('Error finding or creating work:', error);
+        throw error;
+    }
+}
+
+// get a work by ID, with how many copies of it there are
+async function getWorkById(workId) {
+    try {
+        return await executeQuerySingle(`SELECT ${WORK_COLUMNS} FROM works WHERE id = ?`, [workId]);
+    } catch (error) {
+        console.error('Error getting work by ID:', error);
+        throw error;
+    }
+}
+
+// list works (not those merged into others), by title
+// options: { search, limit, offset }; search matches title or author
+// returns { works, total }
+async function getWorks(options = {}) {
+    try {
+        let where = 'WHERE merged_into_id IS NULL';
+        const params = [];
+
+        if (options.search) {
+            const pattern = `%${escapeLike(options.search)}%`;
+            where += " AND (title LIKE ? ESCAPE '\\' OR author LIKE ? ESCAPE '\\')";
+            params.push(pattern, pattern);
+        }
+
+        const works = await executeQuery(`
+            SELECT ${WORK_COLUMNS} FROM works
+            ${where}
+            ORDER BY title COLLATE NOCASE, author COLLATE NOCASE, id
+            LIMIT ? OFFSET ?
+        `, [...params, options.limit || 20, options.offset || 0]);
+
+        const totalResult = await executeQuerySingle(`SELECT COUNT(*) as total FROM works ${where}`, params);
+
+        return { works, total: totalResult.total };
+    } catch (error) {
+        console.error('Error getting works:', error);
+        throw error;
+    }
+}
+
+// merge the source work into the target: its copies are moved over and it
+// is marked as merged, along with any works merged into it before
+// returns the target work
+async function mergeWorks(targetId, sourceId) {
+    try {
+        return await withTransaction(async () => {
+            await executeModifyQuery('UPDATE books SET work_id = ? WHERE work_id = ?', [targetId, sourceId]);
+            await executeModifyQuery(`
+                UPDATE works SET merged_into_id = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? OR merged_into_id = ?
+            `, [targetId, sourceId, sourceId]);
+
+            return await getWorkById(targetId);
+        });
+    } catch (error) {
+        console.error('Error merging works:', error);
+        throw error;
+    }
+}
+
+// goal operations
+
+const GOAL_COLUMNS = 'id, user_id, type, target, year, month, created_at, updated_at';
+
+// get a user's goals, optionally only those of one year
+// yearly goals come before monthly ones, books before pages
+async function getGoalsByUserId(userId, year = null) {
+    try {
+        const sql = `
+            SELECT ${GOAL_COLUMNS}
+            FROM goals
+            WHERE user_id = ? AND (? IS NULL OR year = ?)
+            ORDER BY year DESC, COALESCE(month, 0), type
+        `;
+        return await executeQuery(sql, [userId, year, year]);
+    } catch (error) {
+        console.error('Error getting goals:', error);
+        throw error;
+    }
+}
+
+// get a goal by ID
+async function getGoalById(goalId) {
+    try {
+        return await executeQuerySingle(`SELECT ${GOAL_COLUMNS} FROM goals WHERE id = ?`, [goalId]);
+    } catch (error) {
+        console.error('Error getting goal by ID:', error);
+        throw error;
+    }
+}
+
+// find a user's goal of a type for a period (month null for the whole year)
+async function findGoal(userId, type, year, month = null) {
+    try {
+        return await executeQuerySingle(`
+            SELECT ${GOAL_COLUMNS}
+            FROM goals
+            WHERE user_id = ? AND type = ? AND year = ? AND COALESCE(month, 0) = COALESCE(?, 0)
+        `, [userId, type, year, month]);
+    } catch (error) {
+        console.error('Error finding goal:', error);
+        throw error;
+    }
+}
+
+// create a goal, returns the new goal ID
+async function createGoal(userId, goalData) {
+    try {
+        const result = await executeModifyQuery(
+            'INSERT INTO goals (user_id, type, target, year, month) VALUES (?, ?, ?, ?, ?)',
+            [userId, goalData.type, goalData.target, goalData.year, goalData.month || null]
+        );
+        return result.id;
+    } catch (error) {
+        console.error('Error creating goal:', error);
+        throw error;
+    }
+}
+
+// change how many books or pages a goal is for
+async function updateGoalTarget(goalId, target) {
+    try {
+        const result = await executeModifyQuery(
+            'UPDATE goals SET target = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [target, goalId]
+        );
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error updating goal:', error);
+        throw error;
+    }
+}
+
+// delete a goal
+async function deleteGoal(goalId) {
+    try {
+        const result = await executeModifyQuery('DELETE FROM goals WHERE id = ?', [goalId]);
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error deleting goal:', error);
+        throw error;
+    }
+}
+
+// count what a user finished between start (inclusive) and end (exclusive),
+// both UTC timestamps like CURRENT_TIMESTAMP. a book counts when it is marked
+// read and one of its reads finished in the period, once however many times
+// it was read. returns { books, pages, books_without_pages }
+async function getReadTotals(userId, start, end) {
+    try {
+        const totals = await executeQuerySingle(`
+            SELECT COUNT(*) as books,
+                   COALESCE(SUM(page_count), 0) as pages,
+                   COUNT(*) - COUNT(page_count) as books_without_pages
+            FROM books b
+            WHERE b.user_id = ? AND b.deleted_at IS NULL AND b.status = 'read'
+              AND EXISTS (
+                  SELECT 1 FROM reading_sessions rs
+                  WHERE rs.book_id = b.id AND rs.finished_at >= ? AND rs.finished_at < ?
+              )
+        `, [userId, start, end]);
+        return totals;
+    } catch (error) {
+        console.error('Error getting read totals:', error);
+        throw error;
+    }
+}
+
+// personal statistics
+
+// get a user's reading statistics (trashed books are left out)
+// - totals: books by status, from the user_book_stats view
+// - months: reads finished each month ("YYYY-MM"), with their pages; a re-read counts again
+// - tags and authors: the limit most common, with how many of those books are read
+// - readingTime: how long finished reads took, start to finish, in days
+// - pagesInProgress: pages read so far of the books being read
+async function getUserReadingStats(userId, limit = 10) {
+    try {
+        const totals = await executeQuerySingle(`
+            SELECT total_books, books_read, books_reading, books_to_read
+            FROM user_book_stats
+            WHERE user_id = ?
+        `, [userId]);
+
+        const months = await executeQuery(`
+            SELECT strftime('%Y-%m', rs.finished_at) as month,
+                   COUNT(*) as books,
+                   COALESCE(SUM(b.page_count), 0) as pages
+            FROM reading_sessions rs
+            JOIN books b ON b.id = rs.book_id
+            WHERE b.user_id = ? AND b.deleted_at IS NULL AND rs.finished_at IS NOT NULL
+            GROUP BY month
+            ORDER BY month
+        `, [userId]);
+
+        // tags stand in for genres (the old genre field became tags)
+        const tags = await executeQuery(`
+            SELECT t.name,
+                   COUNT(*) as books,
+                   COUNT(CASE WHEN b.status = 'read' THEN 1 END) as books_read
+            FROM tags t
+            JOIN book_tags bt ON bt.tag_id = t.id
+            JOIN books b ON b.id = bt.book_id AND b.deleted_at IS NULL
+            WHERE t.user_id = ?
+            GROUP BY t.id
+            ORDER BY books DESC, t.name ASC
+            LIMIT ?
+        `, [userId, limit]);
+
+        // authors are grouped ignoring case and surrounding spaces (capitalised spelling preferred)
+        const authors = await executeQuery(`
+            SELECT MIN(TRIM(author)) as author,
+                   COUNT(*) as books,
+                   COUNT(CASE WHEN status = 'read' THEN 1 END) as books_read,
+                   ROUND(AVG(rating), 2) as average_rating
+            FROM books
+            WHERE user_id = ? AND deleted_at IS NULL AND TRIM(COALESCE(author, '')) <> ''
+            GROUP BY LOWER(TRIM(author))
+            ORDER BY books DESC, author ASC
+            LIMIT ?
+        `, [userId, limit]);
+
+        const readingTime = await executeQuerySingle(`
+            SELECT COUNT(*) as reads,
+                   ROUND(AVG(julianday(rs.finished_at) - julianday(rs.started_at)), 1) as average_days,
+                   ROUND(MIN(julianday(rs.finished_at) - julianday(rs.started_at)), 1) as fastest_days,
+                   ROUND(MAX(julianday(rs.finished_at) - julianday(rs.started_at)), 1) as slowest_days
+            FROM reading_sessions rs
+            JOIN books b ON b.id = rs.book_id
+            WHERE b.user_id = ? AND b.deleted_at IS NULL
+              AND rs.started_at IS NOT NULL AND rs.finished_at IS NOT NULL
+        `, [userId]);
+
+        const inProgress = await executeQuerySingle(`
+            SELECT COALESCE(SUM(current_page), 0) as pages
+            FROM books
+            WHERE user_id = ? AND deleted_at IS NULL AND status = 'reading'
+        `, [userId]);
+
+        return {
+            totals,
+            months,
+            tags,
+            authors,
+            readingTime,
+            pagesInProgress: inProgress.pages
+        };
+    } catch (error) {
+        console.error('Error getting reading statistics:', error);
+        throw error;
+    }
+}
+
+// public statistics
+// only books shared by at least PUBLIC_STATS_MIN_READERS different readers
+// are shown (see utils/privacy.js), and users who opted out are left out.
+// books are counted per work, so differently spelled copies count together
+
+// the books the public statistics are worked out from: live books of users
+// who haven't opted out. used as a subquery in place of the books table
+const SHARED_BOOKS = `
+    SELECT * FROM books
+    WHERE deleted_at IS NULL
+      AND user_id NOT IN (SELECT id FROM users WHERE public_stats_opt_out = 1)
+`;
+
+// get public book statistics (anonymised)
+async function getPublicBookStats() {
+    try {
+        const minReaders = PUBLIC_STATS_MIN_READERS;
+
+        // get most popular books (by how many readers added them)
+        const popularBooks = await executeQuery(`
+            SELECT w.id as work_id, w.title, w.author,
+                   COUNT(DISTINCT books.user_id) as times_added,
+                   ROUND(AVG(books.rating), 2) as average_rating,
+                   COUNT(books.rating) as rating_count
+            FROM (${SHARED_BOOKS}) books
+            JOIN works w ON w.id = books.work_id
+            GROUP BY w.id
+            HAVING times_added >= ?
+            ORDER BY times_added DESC, w.title ASC
+            LIMIT 10
+        `, [minReaders]);
+
+        // get most popular tags (tag names are compared case-insensitively)
+        const popularTags = await executeQuery(`
+            SELECT t.name as tag, COUNT(*) as count
+            FROM book_tags bt
+            JOIN tags t ON t.id = bt.tag_id
+            JOIN (${SHARED_BOOKS}) b ON b.id = bt.book_id
+            GROUP BY t.name
+            HAVING COUNT(DISTINCT b.user_id) >= ?
+            ORDER BY count DESC, tag ASC
+            LIMIT 10
+        `, [minReaders]);
+
+        // get reading status distribution
+        const statusDistribution = await executeQuery(`
+            SELECT status, COUNT(*) as count
+            FROM (${SHARED_BOOKS}) books
+            GROUP BY status
+            HAVING COUNT(DISTINCT user_id) >= ?
+            ORDER BY count DESC
+        `, [minReaders]);
+
+        // get top authors (as their works give them)
+        const topAuthors = await executeQuery(`
+            SELECT w.author, COUNT(*) as book_count
+            FROM (${SHARED_BOOKS}) books
+            JOIN works w ON w.id = books.work_id
+            WHERE w.author IS NOT NULL AND w.author != ''
+            GROUP BY w.author
+            HAVING COUNT(DISTINCT books.user_id) >= ?
+            ORDER BY book_count DESC
+            LIMIT 10
+        `, [minReaders]);
+
+        // get total counts, left at zero until there are enough readers
+        // for the totals not to describe one person's library
+        const totals = await executeQuerySingle(`
+            SELECT COUNT(*) as books, COUNT(DISTINCT user_id) as readers
+            FROM (${SHARED_BOOKS}) books
+        `);
+        const enoughReaders = totals.readers >= minReaders;
+
+        return {
+            popular_books: popularBooks,
+            popular_tags: popularTags,
+            popular_authors: topAuthors,
+            status_distribution: statusDistribution,
+            total_books: enoughReaders ? totals.books : 0,
+            total_users: enoughReaders ? totals.readers : 0
+        };
+
+    } catch (error) {
+        console.error('Error getting public book statistics:', error);
+        throw error;
+    }
+}
+
+// orderings for public search results
+// every ordering ends with the work, which identifies a result, so pages
+// don't overlap or skip results
+const PUBLIC_SEARCH_ORDER = {
+    relevance: 'relevance ASC, popularity DESC, title ASC, work_id ASC',
+    popularity: 'popularity DESC, title ASC, work_id ASC',
+    title: 'title COLLATE NOCASE ASC, author COLLATE NOCASE ASC, work_id ASC',
+    // unrated books go last, ties broken by how many people rated it
+    rating: 'average_rating IS NULL, average_rating DESC, rating_count DESC, popularity DESC, title ASC, work_id ASC'
+};
+
+// how many tags and authors the public search facets list
+const PUBLIC_SEARCH_FACET_SIZE = 10;
+
+// search books publicly (anonymised)
+// only titles and authors are searched (notes are private), with the same
+// prefix and phrase syntax as the personal search. each result carries
+// title_highlight and author_highlight with matches wrapped in <mark></mark>
+// filters: { tag, author } narrow the results to books with that tag or by
+// that author
+// options: { sort: 'relevance' | 'popularity' | 'title' | 'rating', limit, offset }
+// returns { results, total, facets: { tags, authors } } where the facets
+// count the matching results per tag and per author
+async function searchPublicBooks(query, filters = {}, options = {}) {
+    try {
+        const searchQuery = buildSearchQuery(query);
+        if (!searchQuery) {
+            return { results: [], total: 0, facets: { tags: [], authors: [] } };
+        }
+
+        // search books by title and author, one result per work
+        // tags lists the tags enough readers gave their copy of the book, and
+        // the highlights come from a copy spelled the way the work is
+        // the matches are materialised first: bm25() and highlight() only work
+        // while reading the FTS table, not once the query is grouped
+        let matches = `
+            WITH search AS MATERIALIZED (
+                SELECT rowid AS book_id,
+                       ${SEARCH_RANK} AS search_rank,
+                       highlight(books_fts, 0, '<mark>', '</mark>') AS title_highlight,
+                       highlight(books_fts, 1, '<mark>', '</mark>') AS author_highlight
+                FROM books_fts
+                WHERE books_fts MATCH ?
+            ),
+            results AS MATERIALIZED (
+                SELECT w.id as work_id, w.title, w.author,
+                       COUNT(DISTINCT books.user_id) as popularity,
+                       ROUND(AVG(books.rating), 2) as average_rating,
+                       COUNT(books.rating) as rating_count,
+                       MIN(search.search_rank) as relevance,
+                       MIN(CASE WHEN books.title = w.title THEN search.title_highlight END) as title_highlight,
+                       MIN(CASE WHEN books.author IS w.author THEN search.author_highlight END) as author_highlight,
+                       (SELECT json_group_array(name) FROM (
+                            SELECT t.name
+                            FROM (${SHARED_BOOKS}) b2
+                            JOIN book_tags bt ON bt.book_id = b2.id
+                            JOIN tags t ON t.id = bt.tag_id
+                            WHERE b2.work_id = w.id
+                            GROUP BY t.name
+                            HAVING COUNT(DISTINCT b2.user_id) >= ?
+                            ORDER BY t.name
+                        )) as tags
+                FROM (${SHARED_BOOKS}) books
+                JOIN search ON search.book_id = books.id
+                JOIN works w ON w.id = books.work_id
+                GROUP BY w.id
+                HAVING popularity >= ?
+            )
+        `;
+
+        const params = [`{title author} : (${searchQuery})`, PUBLIC_STATS_MIN_READERS, PUBLIC_STATS_MIN_READERS];
+        const conditions = [];
+
+        // apply tag filter if provided
+        if (filters.tag) {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM json_each(results.tags) tag
+                WHERE tag.value = ? COLLATE NOCASE
+            )`);
+            params.push(filters.tag);
+        }
+
+        // apply author filter if provided
+        if (filters.author) {
+            conditions.push('author = ?');
+            params.push(filters.author);
+        }
+
+        matches += `,
+            matches AS (
+                SELECT * FROM results
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            )
+        `;
+
+        // the requested page of results
+        let pageSql = `
+            ${matches}
+            SELECT * FROM matches
+            ORDER BY ${PUBLIC_SEARCH_ORDER[options.sort] || PUBLIC_SEARCH_ORDER.relevance}
+        `;
+        const pageParams = [...params];
+        if (options.limit) {
+            pageSql += ' LIMIT ? OFFSET ?';
+            pageParams.push(options.limit, options.offset || 0);
+        }
+        const rows = await executeQuery(pageSql, pageParams);
+
+        const totalResult = await executeQuerySingle(`
+            ${matches}
+            SELECT COUNT(*) as total FROM matches
+        `, params);
+
+        // tags are compared case-insensitively, as everywhere else
+        const tagFacets = await executeQuery(`
+            ${matches}
+            SELECT MIN(tag.value) as tag, COUNT(*) as count
+            FROM matches, json_each(matches.tags) tag
+            GROUP BY tag.value COLLATE NOCASE
+            ORDER BY count DESC, tag ASC
+            LIMIT ?
+        `, [...params, PUBLIC_SEARCH_FACET_SIZE]);
+
+        const authorFacets = await executeQuery(`
+            ${matches}
+            SELECT author, COUNT(*) as count
+            FROM matches
+            WHERE author IS NOT NULL AND author != ''
+            GROUP BY author
+            ORDER BY count DESC, author ASC
+            LIMIT ?
+        `, [...params, PUBLIC_SEARCH_FACET_SIZE]);
+
+        return {
+            results: rows.map(parseBookRow),
+            total: totalResult.total,
+            facets: {
+                tags: tagFacets,
+                authors: authorFacets
+            }
+        };
+
+    } catch (error) {
+        console.error('Error searching public books:', error);
+        throw error;
+    }
+}
+
+// recommendations ("readers also added")
+// books are suggested from what other readers with books in common added.
+// like the public statistics, only readers who share their books count,
+// and a book is only suggested, and only explained by one of the user's
+// books, when at least PUBLIC_STATS_MIN_READERS readers back it up
+
+// how much a book says about a reader's taste: books they read count most,
+// and a rating (1-5) scales that up or down around 3 stars
+const RECOMMENDATION_WEIGHT = `
+    CASE status WHEN 'read' THEN 1.0 WHEN 'reading' THEN 0.8 ELSE 0.5 END
+    * COALESCE(rating / 3.0, 1.0)
+`;
+
+// how many of the user's books are given as the reason for a suggestion
+const RECOMMENDATION_REASONS = 3;
+
+// suggest works the user has no copy of (the trash counts as a copy), best first
+// returns [{ work_id, title, author, score, readers, average_rating,
+// rating_count, because }] where readers is how many readers with books in
+// common added it and because lists titles from the user's library they share
+async function getRecommendations(userId, limit = 20) {
+    try {
+        const minReaders = PUBLIC_STATS_MIN_READERS;
+
+        // mine: the user's works and how much each says about their taste
+        // others: the same for every other reader who shares their books
+        // neighbours: how much each of those readers has in common with the user
+        const context = `
+            WITH mine AS (
+                SELECT work_id, MAX(${RECOMMENDATION_WEIGHT}) as weight
+                FROM books
+                WHERE user_id = ? AND deleted_at IS NULL AND work_id IS NOT NULL
+                GROUP BY work_id
+            ),
+            others AS MATERIALIZED (
+                SELECT user_id, work_id, MAX(${RECOMMENDATION_WEIGHT}) as weight
+                FROM (${SHARED_BOOKS}) books
+                WHERE user_id != ? AND work_id IS NOT NULL
+                GROUP BY user_id, work_id
+            ),
+            neighbours AS (
+                SELECT o.user_id, SUM(o.weight * m.weight) as similarity
+                FROM others o
+                JOIN mine m ON m.work_id = o.work_id
+                GROUP BY o.user_id
+            )
+        `;
+        const contextParams = [userId, userId];
+
+        const recommendations = await executeQuery(`
+            ${context},
+            candidates AS (
+                SELECT o.work_id, SUM(n.similarity * o.weight) as score,
+                       COUNT(DISTINCT o.user_id) as readers
+                FROM others o
+                JOIN neighbours n ON n.user_id = o.user_id
+                WHERE o.work_id NOT IN (
+                    SELECT work_id FROM books WHERE user_id = ? AND work_id IS NOT NULL
+                )
+                GROUP BY o.work_id
+                HAVING readers >= ?
+            )
+            SELECT w.id as work_id, w.title, w.author,
+                   ROUND(c.score, 2) as score, c.readers,
+                   (SELECT ROUND(AVG(b.rating), 2) FROM (${SHARED_BOOKS}) b WHERE b.work_id = w.id) as average_rating,
+                   (SELECT COUNT(b.rating) FROM (${SHARED_BOOKS}) b WHERE b.work_id = w.id) as rating_count
+            FROM candidates c
+            JOIN works w ON w.id = c.work_id
+            ORDER BY c.score DESC, c.readers DESC, w.title ASC
+            LIMIT ?
+        `, [...contextParams, userId, minReaders, limit]);
+
+        if (recommendations.length === 0) {
+            return [];
+        }
+
+        // the user's books that enough readers of each suggestion also have,
+        // named the way the user has them
+        const workIds = recommendations.map(recommendation => recommendation.work_id);
+        const reasons = await executeQuery(`
+            ${context}
+            SELECT o1.work_id,
+                   (SELECT MIN(title) FROM books
+                    WHERE user_id = ? AND work_id = m.work_id AND deleted_at IS NULL) as title,
+                   COUNT(DISTINCT o1.user_id) * m.weight as strength
+            FROM others o1
+            JOIN others o2 ON o2.user_id = o1.user_id
+            JOIN mine m ON m.work_id = o2.work_id
+            WHERE o1.work_id IN (${workIds.map(() => '?').join(', ')})
+            GROUP BY o1.work_id, m.work_id
+            HAVING COUNT(DISTINCT o1.user_id) >= ?
+            ORDER BY strength DESC, title ASC
+        `, [...contextParams, userId, ...workIds, minReaders]);
+
+        return recommendations.map(recommendation => ({
+            ...recommendation,
+            because: reasons
+                .filter(reason => reason.work_id === recommendation.work_id)
+                .slice(0, RECOMMENDATION_REASONS)
+                .map(reason => reason.title)
+        }));
+    } catch (error) {
+        console.error('Error getting recommendations:', error);
+        throw error;
+    }
+}
+
+// utility functions
+
+// close the database connections (on shutdown)
+// a transaction in progress is allowed to finish first
+async function closeDatabase() {
+    await transactionQueue;
+
+    const connections = [sharedConnection, transactionConnection].filter(Boolean);
+    sharedConnection = null;
+    transactionConnection = null;
+
+    for (const connection of await Promise.all(connections)) {
+        await closeConnection(connection);
+    }
+    console.log('Database connection closed');
+}
+
+// test database connection
+async function testConnection() {
+    try {
+        await executeQuerySingle('SELECT 1 as test');
+        console.log('Database connection test successful');
+        return true;
+    } catch (error) {
+        console.error('Database connection test failed:', error);
+        return false;
+    }
+}
+
+// Export all functions
+module.exports = {
     // Database management
     initializeDatabase,
     testConnection,
     closeDatabase,
+    withTransaction,
 
     // User operations
     createUser,
     findUserByUsername,
     findUserById,
+    getUserSettings,
+    updateUserSettings,
 
     // Book operations
     createBook,
     getBooksByUserId,
+    countBooksByUserId,
     getBookById,
     updateBook,
+    patchBook,
     deleteBook,
+    findDuplicateBooks,
+    mergeBooks,
+    applyBulkAction,
+
+    // Trash operations
+    getDeletedBooksByUserId,
+    getDeletedBookById,
+    restoreBook,
+    purgeBook,
+    emptyTrash,
+    purgeExpiredBooks,
+
+    // Book revision operations
+    getBookRevisions,
+    getBookRevisionById,
+    revertBookToRevision,
+
+    // Tag operations
+    getTagsByUserId,
+    getTagById,
+    findTagByName,
+    createTag,
+    renameTag,
+    deleteTag,
+    setBookTags,
+
+    // Shelf operations
+    getShelvesByUserId,
+    getShelfById,
+    findShelfByName,
+    createShelf,
+    renameShelf,
+    deleteShelf,
+    reorderShelves,
+    addBooksToShelf,
+    removeBookFromShelf,
+    setBookShelves,
+
+    // Reading progress operations
+    recordReadingProgress,
+    getReadingProgress,
+
+    // Reading session operations
+    getReadingSessions,
+    getReadingSessionById,
+    createReadingSession,
+    updateReadingSession,
+    deleteReadingSession,
+
+    // Import operations
+    importBooks,
+
+    // Work operations
+    findOrCreateWork,
+    getWorkById,
+    getWorks,
+    mergeWorks,
+
+    // Goal operations
+    getGoalsByUserId,
+    getGoalById,
+    findGoal,
+    createGoal,
+    updateGoalTarget,
+    deleteGoal,
+    getReadTotals,
+
+    // Personal statistics
+    getUserReadingStats,
 
     // Public operations
     getPublicBookStats,
     searchPublicBooks,
 
+    // Recommendations
+    getRecommendations,
+
+    // Constants
+    BOOK_SORT_FIELDS,
+
     // Utility functions
     executeQuery,
     executeQuerySingle,
@@ -0,0 +1,57 @@
+// library export formats
+// each format turns a stream of books into text piece by piece:
+// header() once, row(book, context) per book, then footer()
+// context is { index, shelfNames } where shelfNames are the book's shelf names
+
+const { formatCsvRow } = require('./csv');
+const { GOODREADS_COLUMNS, toGoodreadsRow } = require('./goodreads');
+
+// columns of our own CSV export
+const CSV_COLUMNS = [
+    'id', 'title', 'author', 'status', 'tags', 'shelves',
+    'isbn', 'page_count', 'published_date', 'language', 'cover_url',
+    'rating', 'review', 'notes', 'current_page', 'progress_percent',
+    'read_count', 'last_finished_at', 'created_at', 'updated_at'
+];
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        filename: date => `reading-list-${date}.csv`,
+        header: () => formatCsvRow(CSV_COLUMNS),
+        row: (book, { shelfNames }) => formatCsvRow(CSV_COLUMNS.map(column => {
+            // lists are joined into one field
+            if (column === 'tags') {
+                return (book.tags || []).join('; ');
+            }
+            if (column === 'shelves') {
+                return shelfNames.join('; ');
+            }
+            return book[column];
+        })),
+        footer: () => ''
+    },
+
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        filename: date => `reading-list-${date}.json`,
+        header: () => `{"exported_at":${JSON.stringify(new Date().toISOString())},"books":[`,
+        row: ({ snippet, ...book }, { index, shelfNames }) =>
+            (index > 0 ? ',' : '') + JSON.stringify({ ...book, shelves: shelfNames }),
+        footer: () => ']}'
+    },
+
+    // same columns as a Goodreads library export, so it can be imported there
+    // (or back into this app)
+    goodreads: {
+        contentType: 'text/csv; charset=utf-8',
+        filename: () => 'goodreads_library_export.csv',
+        header: () => formatCsvRow(GOODREADS_COLUMNS),
+        row: (book, { shelfNames }) => formatCsvRow(toGoodreadsRow(book, shelfNames)),
+        footer: () => ''
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS
+};
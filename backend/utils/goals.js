@@ -0,0 +1,106 @@
+// reading goal progress
+// a goal is "read N books" or "read N pages" in a year or a month. progress
+// comes from the books finished in that period (see getReadTotals), and the
+// pace compares it with how far through the period we are
+
+const { getReadTotals } = require('./db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// how close to the expected amount still counts as on track, as a share of the target
+const ON_TRACK_MARGIN = 0.02;
+
+// start (inclusive) and end (exclusive) of a goal's period, in UTC
+function goalPeriod(goal) {
+    if (goal.month) {
+        return {
+            start: new Date(Date.UTC(goal.year, goal.month - 1, 1)),
+            end: new Date(Date.UTC(goal.year, goal.month, 1))
+        };
+    }
+    return {
+        start: new Date(Date.UTC(goal.year, 0, 1)),
+        end: new Date(Date.UTC(goal.year + 1, 0, 1))
+    };
+}
+
+// Date -> "YYYY-MM-DD HH:MM:SS", the format SQLite timestamps are stored in
+function toDbTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Date -> "YYYY-MM-DD"
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+const roundTo1 = (value) => Math.round(value * 10) / 10;
+
+// how a goal is going, given how much has been read so far
+// pace is 'not_started' (period still to come), 'done', 'missed' (period over),
+// or 'ahead' / 'on_track' / 'behind' compared with reading evenly through the
+// period. projected is where the current pace ends up by the end of the period
+function goalPace(goal, current, now = new Date()) {
+    const { start, end } = goalPeriod(goal);
+    const length = end - start;
+    const elapsed = Math.min(Math.max(now - start, 0), length);
+    const fraction = elapsed / length;
+
+    const expected = goal.target * fraction;
+    const remaining = Math.max(goal.target - current, 0);
+    const daysLeft = Math.ceil((end - Math.max(now, start)) / DAY_MS);
+    const weeksLeft = daysLeft / 7;
+
+    let pace;
+    if (current >= goal.target) {
+        pace = 'done';
+    } else if (now >= end) {
+        pace = 'missed';
+    } else if (now < start) {
+        pace = 'not_started';
+    } else if (Math.abs(current - expected) <= goal.target * ON_TRACK_MARGIN) {
+        pace = 'on_track';
+    } else {
+        pace = current > expected ? 'ahead' : 'behind';
+    }
+
+    return {
+        current,
+        percent: roundTo1((current / goal.target) * 100),
+        expected: roundTo1(expected),
+        difference: roundTo1(current - expected),
+        projected: fraction > 0 ? Math.round(current / fraction) : null,
+        remaining,
+        days_left: Math.max(daysLeft, 0),
+        needed_per_week: remaining > 0 && weeksLeft > 0 ? roundTo1(remaining / Math.max(weeksLeft, 1)) : 0,
+        pace
+    };
+}
+
+// a goal with its period and progress, as the API returns it
+async function describeGoal(goal, now = new Date()) {
+    const { start, end } = goalPeriod(goal);
+    const totals = await getReadTotals(goal.user_id, toDbTimestamp(start), toDbTimestamp(end));
+    const current = goal.type === 'pages' ? totals.pages : totals.books;
+
+    const progress = goalPace(goal, current, now);
+    if (goal.type === 'pages') {
+        // finished books with no page count can't count towards a pages goal
+        progress.books_without_pages = totals.books_without_pages;
+    }
+
+    return {
+        ...goal,
+        period: {
+            start: toDateString(start),
+            end: toDateString(new Date(end - DAY_MS)) // last day of the period
+        },
+        progress
+    };
+}
+
+module.exports = {
+    goalPeriod,
+    goalPace,
+    describeGoal
+};
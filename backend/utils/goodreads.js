@@ -0,0 +1,150 @@
+// Goodreads library export helpers
+// turns rows of the "goodreads_library_export.csv" file into book data,
+// and books back into rows of the same format
+
+// columns every Goodreads export has and the import relies on
+const REQUIRED_COLUMNS = ['Title', 'Author', 'Exclusive Shelf'];
+
+// columns of a Goodreads library export, in order
+const GOODREADS_COLUMNS = [
+    'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors',
+    'ISBN', 'ISBN13', 'My Rating', 'Average Rating', 'Publisher', 'Binding',
+    'Number of Pages', 'Year Published', 'Original Publication Year',
+    'Date Read', 'Date Added', 'Bookshelves', 'Bookshelves with positions',
+    'Exclusive Shelf', 'My Review', 'Spoiler', 'Private Notes',
+    'Read Count', 'Owned Copies'
+];
+
+// Goodreads exclusive shelves and the reading status they become
+// custom exclusive shelves (e.g. "did-not-finish") fall back to to-read
+const SHELF_STATUSES = {
+    'read': 'read',
+    'currently-reading': 'reading',
+    'to-read': 'to-read'
+};
+
+// Goodreads wraps ISBNs as ="0441013597" so spreadsheets keep the zeros
+function cleanIsbn(value) {
+    const isbn = (value || '').replace(/^=/, '').replace(/"/g, '').trim();
+    return isbn || null;
+}
+
+// Goodreads dates look like 2023/05/14, stored as "2023-05-14 12:00:00"
+// timestamps are UTC, and noon is still the same day in every time zone the
+// date is shown in (midnight would be the day before west of UTC)
+function parseGoodreadsDate(value) {
+    const match = /^(\d{4})\/(\d{2})\/(\d{2})$/.exec((value || '').trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]} 12:00:00` : null;
+}
+
+// reviews are exported as HTML with <br/> line breaks
+function cleanReview(value) {
+    const review = (value || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .trim();
+    return review || null;
+}
+
+// map one Goodreads record onto book data (still to be validated) plus the
+// dates needed for its reading history
+// returns { bookData, addedAt, startedAt, finishedAt, warnings }
+function mapGoodreadsRecord(record) {
+    const warnings = [];
+    const shelf = (record['Exclusive Shelf'] || '').trim().toLowerCase();
+    let status = SHELF_STATUSES[shelf];
+
+    if (!status) {
+        status = 'to-read';
+        warnings.push(`Unknown shelf "${shelf}" imported as to-read`);
+    }
+
+    const rating = parseInt(record['My Rating'], 10);
+    const pageCount = parseInt(record['Number of Pages'], 10);
+    const year = (record['Original Publication Year'] || record['Year Published'] || '').trim();
+    const addedAt = parseGoodreadsDate(record['Date Added']);
+    const readAt = parseGoodreadsDate(record['Date Read']);
+
+    return {
+        bookData: {
+            title: record['Title'],
+            author: record['Author'],
+            status,
+            isbn: cleanIsbn(record['ISBN13']) || cleanIsbn(record['ISBN']),
+            page_count: pageCount > 0 ? pageCount : null,
+            published_date: /^\d{4}$/.test(year) ? year : null,
+            // Goodreads uses 0 for "not rated"
+            rating: rating > 0 ? rating : null,
+            review: cleanReview(record['My Review'])
+        },
+        addedAt,
+        startedAt: status === 'reading' ? addedAt : null,
+        // books without a read date count as finished when they were shelved
+        finishedAt: status === 'read' ? (readAt || addedAt) : null,
+        warnings
+    };
+}
+
+// "Frank Herbert" -> "Herbert, Frank"
+function authorLastFirst(author) {
+    const parts = (author || '').trim().split(/\s+/);
+    if (parts.length < 2) {
+        return author || '';
+    }
+    const last = parts.pop();
+    return `${last}, ${parts.join(' ')}`;
+}
+
+// "2023-05-14 10:00:00" -> "2023/05/14"
+function formatGoodreadsDate(timestamp) {
+    return timestamp ? timestamp.slice(0, 10).replace(/-/g, '/') : '';
+}
+
+// shelf and tag names as Goodreads shelf names ("Book club 2026" -> "book-club-2026")
+function toShelfName(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// map one of our books onto a row of GOODREADS_COLUMNS values
+// shelfNames are the names of the shelves the book is on
+function toGoodreadsRow(book, shelfNames = []) {
+    const exclusiveShelf = Object.keys(SHELF_STATUSES)
+        .find(shelf => SHELF_STATUSES[shelf] === book.status) || 'to-read';
+    const isbn = book.isbn || '';
+    const year = /^\d{4}/.test(book.published_date || '') ? book.published_date.slice(0, 4) : '';
+    const shelves = [...new Set([...shelfNames, ...(book.tags || [])].map(toShelfName))]
+        .filter(Boolean);
+
+    const values = {
+        'Book Id': '',
+        'Title': book.title,
+        'Author': book.author || '',
+        'Author l-f': authorLastFirst(book.author),
+        // wrapped like Goodreads does so spreadsheets keep leading zeros
+        'ISBN': `="${isbn.length === 10 ? isbn : ''}"`,
+        'ISBN13': `="${isbn.length === 13 ? isbn : ''}"`,
+        // Goodreads only has whole stars
+        'My Rating': book.rating ? Math.round(book.rating) : 0,
+        'Number of Pages': book.page_count || '',
+        'Year Published': year,
+        'Original Publication Year': year,
+        'Date Read': formatGoodreadsDate(book.last_finished_at),
+        'Date Added': formatGoodreadsDate(book.created_at),
+        'Bookshelves': shelves.join(', '),
+        'Bookshelves with positions': '',
+        'Exclusive Shelf': exclusiveShelf,
+        'My Review': (book.review || '').replace(/\r?\n/g, '<br/>'),
+        'Private Notes': book.notes || '',
+        'Read Count': book.read_count || 0,
+        'Owned Copies': 0
+    };
+
+    return GOODREADS_COLUMNS.map(column => (values[column] !== undefined ? values[column] : ''));
+}
+
+module.exports = {
+    GOODREADS_COLUMNS,
+    REQUIRED_COLUMNS,
+    mapGoodreadsRecord,
+    toGoodreadsRow
+};
@@ -0,0 +1,148 @@
+// book matching helpers
+// decide whether two books are the same book: the same ISBN (10 and 13 digit
+// forms count as one), or the same title and author once case, accents,
+// punctuation, subtitles and leading articles are set aside
+
+// articles dropped from the start of a title ("The Hobbit" matches "Hobbit")
+const LEADING_ARTICLES = /^(the|a|an)\s+/;
+
+// lower case, accents removed, '&' spelled out, punctuation turned into spaces
+function simplifyText(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// "The Fellowship of the Ring: Being the First Part..." -> "fellowship of the ring"
+// the subtitle is whatever follows a colon, a spaced dash or an opening bracket
+function normaliseTitle(title) {
+    const mainTitle = String(title || '').split(/:|\s[-–—]\s|[([]/)[0];
+    const simplified = simplifyText(mainTitle).replace(LEADING_ARTICLES, '');
+
+    // a title that is nothing but a subtitle or an article is kept whole
+    return simplified || simplifyText(title);
+}
+
+// "Herbert, Frank" and "Frank Herbert" -> "frank herbert"
+// the words are sorted so name order doesn't matter
+function normaliseAuthor(author) {
+    return simplifyText(author).split(' ').filter(Boolean).sort().join(' ');
+}
+
+// key two books share when their title and author match
+function titleAuthorKey(title, author) {
+    return `${normaliseTitle(title)}|${normaliseAuthor(author)}`;
+}
+
+// the ISBN-13 form of an ISBN (ISBN-10s get the 978 prefix and a new check digit)
+// returns null for anything that isn't a 10 or 13 character ISBN
+function toIsbn13(isbn) {
+    const value = String(isbn || '').replace(/[-\s]/g, '').toUpperCase();
+
+    if (/^\d{13}$/.test(value)) {
+        return value;
+    }
+    if (!/^\d{9}[\dX]$/.test(value)) {
+        return null;
+    }
+
+    const digits = `978${value.slice(0, 9)}`;
+    const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+    return digits + ((10 - (sum % 10)) % 10);
+}
+
+// how two books match: 'isbn', 'title_author' or null when they don't
+function matchBooks(a, b) {
+    const isbnA = toIsbn13(a.isbn);
+    if (isbnA && isbnA === toIsbn13(b.isbn)) {
+        return 'isbn';
+    }
+
+    if (titleAuthorKey(a.title, a.author) === titleAuthorKey(b.title, b.author)) {
+        return 'title_author';
+    }
+
+    return null;
+}
+
+// an index of books for finding those matching another book without
+// comparing it against each one: every book is keyed by its ISBN-13 and by
+// its title and author once, when it is added.
+// find(book) gives the first book added that matches, or null, and
+// findAll(book) every one, in the order they were added, as { book, match }
+function createBookIndex(books = []) {
+    const byIsbn = new Map();
+    const byKey = new Map();
+    let added = 0;
+
+    function addTo(map, key, entry) {
+        if (map.has(key)) {
+            map.get(key).push(entry);
+        } else {
+            map.set(key, [entry]);
+        }
+    }
+
+    function add(book) {
+        const entry = { book, position: added++ };
+        const isbn = toIsbn13(book.isbn);
+        if (isbn) {
+            addTo(byIsbn, isbn, entry);
+        }
+        addTo(byKey, titleAuthorKey(book.title, book.author), entry);
+    }
+
+    function findAll(book) {
+        const isbn = toIsbn13(book.isbn);
+        const matches = new Map();
+
+        // a book matching both ways counts as an ISBN match, like matchBooks
+        for (const entry of (isbn && byIsbn.get(isbn)) || []) {
+            matches.set(entry.position, { book: entry.book, match: 'isbn' });
+        }
+        for (const entry of byKey.get(titleAuthorKey(book.title, book.author)) || []) {
+            if (!matches.has(entry.position)) {
+                matches.set(entry.position, { book: entry.book, match: 'title_author' });
+            }
+        }
+
+        return [...matches.keys()].sort((a, b) => a - b).map(position => matches.get(position));
+    }
+
+    function find(book) {
+        const [first] = findAll(book);
+        return first ? first.book : null;
+    }
+
+    books.forEach(add);
+    return { add, find, findAll };
+}
+
+// notes of two books merged into one: both kept, the second after a blank
+// line, unless one already contains the other
+function mergeNotes(first, second) {
+    const a = (first || '').trim();
+    const b = (second || '').trim();
+
+    if (!a || b.includes(a)) {
+        return b || null;
+    }
+    if (!b || a.includes(b)) {
+        return a;
+    }
+    return `${a}\n\n${b}`;
+}
+
+module.exports = {
+    normaliseTitle,
+    normaliseAuthor,
+    titleAuthorKey,
+    toIsbn13,
+    matchBooks,
+    createBookIndex,
+    mergeNotes
+};
@@ -0,0 +1,301 @@
+// schema migration runner
+//
+// the schema is built up by numbered migrations in db/migrations
+// (001_create_users_and_books.js, 002_..., and so on). each one exports
+// async up(db) and down(db) functions, and the versions that have been
+// applied are recorded in the schema_migrations table.
+//
+// both the server (on startup) and the db/init.js / db/migrate.js scripts
+// run pending migrations through here, so there is one definition of the schema
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../db/migrations');
+
+// migration files are named <version>_<description>.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// database connection
+
+// open a connection for running migrations
+// foreign keys stay off so migrations can rebuild tables that others reference
+function openDatabase(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, (err) => {
+            if (err) {
+                console.error('Error opening database:', err.message);
+                reject(err);
+            } else {
+                db.configure('busyTimeout', 5000);
+                resolve(db);
+            }
+        });
+    });
+}
+
+function closeDatabase(db) {
+    return new Promise((resolve, reject) => {
+        db.close((err) => (err ? reject(err) : resolve()));
+    });
+}
+
+// promise wrappers around a single connection, plus the schema helpers
+// that migrations use. this is the `db` passed to up() and down()
+function createMigrationContext(db) {
+    const context = {
+        run(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.run(sql, params, function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id: this.lastID, changes: this.changes });
+                    }
+                });
+            });
+        },
+
+        all(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+            });
+        },
+
+        get(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+            });
+        },
+
+        // run several statements at once (no parameters)
+        // trigger bodies and other statements containing ';' are fine here
+        exec(sql) {
+            return new Promise((resolve, reject) => {
+                db.exec(sql, (err) => (err ? reject(err) : resolve()));
+            });
+        },
+
+        // check whether a table (or virtual table) exists
+        async tableExists(table) {
+            const row = await context.get(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+                [table]
+            );
+            return !!row;
+        },
+
+        // names of the columns a table has
+        async columnNames(table) {
+            const columns = await context.all(`PRAGMA table_info(${table})`);
+            return columns.map(column => column.name);
+        },
+
+        // add columns to a table, skipping any it already has
+        // columns is a map of column name to SQL type/definition.
+        // this is the upgrade path for databases made before a column existed
+        async addColumns(table, columns) {
+            const existing = await context.columnNames(table);
+            for (const [name, definition] of Object.entries(columns)) {
+                if (!existing.includes(name)) {
+                    await context.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+                }
+            }
+        },
+
+        // drop columns from a table, skipping any it doesn't have
+        // indexes on the columns have to be dropped first
+        async dropColumns(table, names) {
+            const existing = await context.columnNames(table);
+            for (const name of names) {
+                if (existing.includes(name)) {
+                    await context.run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+                }
+            }
+        }
+    };
+
+    return context;
+}
+
+// migration files
+
+// load every migration in version order
+function loadMigrations() {
+    const files = fs.existsSync(MIGRATIONS_DIR) ? fs.readdirSync(MIGRATIONS_DIR) : [];
+    const migrations = [];
+
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${file} must export up() and down() functions`);
+        }
+
+        migrations.push({
+            version: parseInt(match[1], 10),
+            name: path.basename(file, '.js'),
+            up: migration.up,
+            down: migration.down
+        });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name} and ${migrations[i].name}`);
+        }
+    }
+
+    return migrations;
+}
+
+// schema_migrations table
+
+async function ensureMigrationsTable(context) {
+    await context.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedMigrations(context) {
+    return context.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// run one migration step (up or down) inside a transaction, so a failing
+// migration leaves the database as it was. returns false when another
+// process got there first and there was nothing to do
+async function runStep(context, migration, direction) {
+    await context.run('BEGIN IMMEDIATE');
+    try {
+        // checked again now that we hold the write lock
+        const applied = await context.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]);
+        if ((direction === 'up') === !!applied) {
+            await context.run('COMMIT');
+            return false;
+        }
+
+        if (direction === 'up') {
+            await migration.up(context);
+            await context.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await migration.down(context);
+            await context.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+
+        await context.run('COMMIT');
+        return true;
+    } catch (error) {
+        await context.run('ROLLBACK').catch(() => {});
+        error.message = `Migration ${migration.name} (${direction}) failed: ${error.message}`;
+        throw error;
+    }
+}
+
+// commands
+
+// apply every pending migration, returns the names of the ones applied
+async function migrateUp(dbPath) {
+    const migrations = loadMigrations();
+    const db = await openDatabase(dbPath);
+    const context = createMigrationContext(db);
+
+    try {
+        await ensureMigrationsTable(context);
+        const appliedVersions = (await getAppliedMigrations(context)).map(row => row.version);
+        const applied = [];
+
+        for (const migration of migrations) {
+            if (appliedVersions.includes(migration.version)) {
+                continue;
+            }
+            if (await runStep(context, migration, 'up')) {
+                console.log(`Applied migration ${migration.name}`);
+                applied.push(migration.name);
+            }
+        }
+
+        return applied;
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+// roll back the most recently applied migrations (one by default)
+// returns the names of the ones rolled back
+async function migrateDown(dbPath, steps = 1) {
+    const migrations = loadMigrations();
+    const db = await openDatabase(dbPath);
+    const context = createMigrationContext(db);
+
+    try {
+        await ensureMigrationsTable(context);
+        const toRollBack = (await getAppliedMigrations(context)).reverse().slice(0, steps);
+        const rolledBack = [];
+
+        for (const row of toRollBack) {
+            const migration = migrations.find(candidate => candidate.version === row.version);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${row.name}: its migration file is missing`);
+            }
+            if (await runStep(context, migration, 'down')) {
+                console.log(`Rolled back migration ${migration.name}`);
+                rolledBack.push(migration.name);
+            }
+        }
+
+        return rolledBack;
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+// list every migration with whether (and when) it was applied
+// applied versions whose file has gone are listed as missing
+async function getMigrationStatus(dbPath) {
+    const migrations = loadMigrations();
+    const db = await openDatabase(dbPath);
+    const context = createMigrationContext(db);
+
+    try {
+        await ensureMigrationsTable(context);
+        const appliedRows = await getAppliedMigrations(context);
+
+        const status = migrations.map(migration => {
+            const row = appliedRows.find(applied => applied.version === migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                state: row ? 'applied' : 'pending',
+                applied_at: row ? row.applied_at : null
+            };
+        });
+
+        for (const row of appliedRows) {
+            if (!migrations.some(migration => migration.version === row.version)) {
+                status.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+            }
+        }
+
+        return status.sort((a, b) => a.version - b.version);
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    getMigrationStatus
+};
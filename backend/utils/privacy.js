@@ -0,0 +1,27 @@
+// privacy of the public statistics
+// anything shown publicly (popular books, tags, authors, search results)
+// has to be shared by at least PUBLIC_STATS_MIN_READERS different readers
+// (2 by default), so no entry can be traced back to a single person
+
+const DEFAULT_MIN_READERS = 2;
+
+// threshold from the environment, at least 1
+function getMinReaders() {
+    const configured = process.env.PUBLIC_STATS_MIN_READERS;
+    if (configured === undefined || configured === '') {
+        return DEFAULT_MIN_READERS;
+    }
+
+    const readers = parseInt(configured, 10);
+    if (Number.isNaN(readers) || readers < 1) {
+        console.error(`Invalid PUBLIC_STATS_MIN_READERS "${configured}", using ${DEFAULT_MIN_READERS}`);
+        return DEFAULT_MIN_READERS;
+    }
+    return readers;
+}
+
+const PUBLIC_STATS_MIN_READERS = getMinReaders();
+
+module.exports = {
+    PUBLIC_STATS_MIN_READERS
+};
@@ -0,0 +1,66 @@
+// trash retention
+// deleted books stay in the trash for TRASH_RETENTION_DAYS (30 by default)
+// and are then purged for good. TRASH_RETENTION_DAYS=0 keeps them until
+// they are restored or purged by hand
+
+const { purgeExpiredBooks } = require('./db');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// how often the server looks for books to purge
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// retention period in days from the environment, 0 meaning forever
+function getRetentionDays() {
+    const configured = process.env.TRASH_RETENTION_DAYS;
+    if (configured === undefined || configured === '') {
+        return DEFAULT_RETENTION_DAYS;
+    }
+
+    const days = parseInt(configured, 10);
+    if (Number.isNaN(days) || days < 0) {
+        console.error(`Invalid TRASH_RETENTION_DAYS "${configured}", using ${DEFAULT_RETENTION_DAYS}`);
+        return DEFAULT_RETENTION_DAYS;
+    }
+    return days;
+}
+
+const TRASH_RETENTION_DAYS = getRetentionDays();
+
+// purge books whose retention period has run out
+// errors are logged rather than thrown, the next run tries again
+async function purgeExpiredTrash() {
+    if (TRASH_RETENTION_DAYS === 0) {
+        return 0;
+    }
+
+    try {
+        const purged = await purgeExpiredBooks(TRASH_RETENTION_DAYS);
+        if (purged > 0) {
+            console.log(`Purged ${purged} book(s) deleted more than ${TRASH_RETENTION_DAYS} days ago`);
+        }
+        return purged;
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        return 0;
+    }
+}
+
+// purge now and then every PURGE_INTERVAL_MS
+// returns a function that stops it (the timer never keeps the process alive)
+function startTrashPurging() {
+    if (TRASH_RETENTION_DAYS === 0) {
+        return () => {};
+    }
+
+    purgeExpiredTrash();
+    const timer = setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeExpiredTrash,
+    startTrashPurging
+};
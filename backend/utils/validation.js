@@ -213,6 +213,16 @@ function validateUserRegistration(userData) {
 // BOOK VALIDATION
 // =============================================================================
 
+// Longest review we accept (notes stay capped at 1000 characters)
+const MAX_REVIEW_LENGTH = 10000;
+
+// Tag limits
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_BOOK = 20;
+
+// Shelf limits
+const MAX_SHELF_NAME_LENGTH = 100;
+
 /**
  * Validate book title
  * @param {string} title - Book title to validate
@@ -221,21 +231,6 @@ function validateUserRegistration(userData) {
 function validateBookTitle(title) {
     const errors = [];
 
-    // TODO: Implement book title validation
-    // 1. Check if title is provided
-    // 2. Check length limits
-    // 3. Sanitise HTML and special characters
-    // 4. Trim whitespace
-
-    // PLACEHOLDER: Basic validation structure
-    const result = {
-        isValid: false,
-        errors: ['Book title validation not implemented yet'],
-        sanitised: title || ''
-    };
-
-    // EXAMPLE IMPLEMENTATION STRUCTURE:
-    /*
     // Check if title exists
     if (!title || typeof title !== 'string') {
         errors.push('Book title is required');
@@ -243,7 +238,7 @@ function validateBookTitle(title) {
     }
 
     // Trim and sanitise
-    const sanitised = title.trim();
+    const sanitised = sanitiseHtml(title).trim();
 
     // Check length
     if (sanitised.length === 0) {
@@ -253,14 +248,11 @@ function validateBookTitle(title) {
         errors.push('Book title must not exceed 255 characters');
     }
 
-    const result = {
+    return {
         isValid: errors.length === 0,
         errors,
         sanitised
     };
-    */
-
-    return result;
 }
 
 /**
@@ -271,28 +263,13 @@ function validateBookTitle(title) {
 function validateBookAuthor(author) {
     const errors = [];
 
-    // TODO: Implement book author validation
-    // 1. Author is optional, so handle null/undefined
-    // 2. If provided, check length limits
-    // 3. Sanitise input
-    // 4. Validate format if needed
-
-    // PLACEHOLDER: Basic validation structure
-    const result = {
-        isValid: true, // Author is optional
-        errors: [],
-        sanitised: author || null
-    };
-
-    // EXAMPLE IMPLEMENTATION STRUCTURE:
-    /*
     // Author is optional
     if (!author || typeof author !== 'string') {
         return { isValid: true, errors: [], sanitised: null };
     }
 
     // Trim and sanitise
-    const sanitised = author.trim();
+    const sanitised = sanitiseHtml(author).trim();
 
     // If empty after trimming, treat as null
     if (sanitised.length === 0) {
@@ -304,14 +281,11 @@ function validateBookAuthor(author) {
         errors.push('Author name must not exceed 255 characters');
     }
 
-    const result = {
+    return {
         isValid: errors.length === 0,
         errors,
         sanitised
     };
-    */
-
-    return result;
 }
 
 /**
@@ -384,21 +358,6 @@ function validateBookGenre(genre) {
  */
 function validateBookStatus(status) {
     const errors = [];
-
-    // TODO: Implement book status validation
-    // 1. Check against allowed status values
-    // 2. Provide default if not specified
-    // 3. Sanitise input
-
-    // PLACEHOLDER: Basic validation structure
-    const result = {
-        isValid: false,
-        errors: ['Book status validation not implemented yet'],
-        sanitised: status || 'to-read'
-    };
-
-    // EXAMPLE IMPLEMENTATION STRUCTURE:
-    /*
     const allowedStatuses = ['to-read', 'reading', 'read'];
     const defaultStatus = 'to-read';
 
@@ -415,14 +374,11 @@ function validateBookStatus(status) {
         return { isValid: false, errors, sanitised: defaultStatus };
     }
 
-    const result = {
+    return {
         isValid: true,
         errors: [],
         sanitised
     };
-    */
-
-    return result;
 }
 
 /**
@@ -433,28 +389,13 @@ function validateBookStatus(status) {
 function validateBookNotes(notes) {
     const errors = [];
 
-    // TODO: Implement book notes validation
-    // 1. Notes are optional
-    // 2. Check length limits
-    // 3. Sanitise HTML/special characters
-    // 4. Handle line breaks appropriately
-
-    // PLACEHOLDER: Basic validation structure
-    const result = {
-        isValid: true, // Notes are optional
-        errors: [],
-        sanitised: notes || null
-    };
-
-    // EXAMPLE IMPLEMENTATION STRUCTURE:
-    /*
     // Notes are optional
     if (!notes || typeof notes !== 'string') {
         return { isValid: true, errors: [], sanitised: null };
     }
 
     // Trim and sanitise
-    const sanitised = notes.trim();
+    const sanitised = sanitiseHtml(notes).trim();
 
     // If empty after trimming, treat as null
     if (sanitised.length === 0) {
@@ -466,92 +407,274 @@ function validateBookNotes(notes) {
         errors.push('Notes must not exceed 1000 characters');
     }
 
-    // Basic HTML sanitisation (remove script tags, etc.)
-    const sanitisedHtml = sanitised
-        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-        .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '');
-
-    const result = {
+    return {
         isValid: errors.length === 0,
         errors,
-        sanitised: sanitisedHtml
+        sanitised
     };
-    */
+}
 
-    return result;
+/**
+ * Validate book ISBN
+ * Hyphens and spaces are removed; ISBN-10 may end in X.
+ * @param {string} isbn - ISBN to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateBookIsbn(isbn) {
+    // ISBN is optional
+    if (isbn === undefined || isbn === null || isbn === '') {
+        return { isValid: true, errors: [], sanitised: null };
+    }
+
+    const sanitised = String(isbn).replace(/[-\s]/g, '').toUpperCase();
+
+    if (!/^(\d{9}[\dX]|\d{13})$/.test(sanitised)) {
+        return { isValid: false, errors: ['ISBN must be a valid ISBN-10 or ISBN-13'], sanitised: null };
+    }
+
+    return { isValid: true, errors: [], sanitised };
 }
 
 /**
- * Validate complete book data
- * @param {Object} bookData - Book data to validate
+ * Validate book page count
+ * @param {number|string} pageCount - Page count to validate
  * @returns {ValidationResult} - Validation result
  */
-function validateBookData(bookData) {
+function validateBookPageCount(pageCount) {
+    // Page count is optional
+    if (pageCount === undefined || pageCount === null || pageCount === '') {
+        return { isValid: true, errors: [], sanitised: null };
+    }
+
+    const sanitised = Number(pageCount);
+
+    if (!Number.isInteger(sanitised) || sanitised < 1 || sanitised > 100000) {
+        return { isValid: false, errors: ['Page count must be a positive whole number'], sanitised: null };
+    }
+
+    return { isValid: true, errors: [], sanitised };
+}
+
+/**
+ * Validate book publication date
+ * Accepts a year, year and month, or full date.
+ * @param {string} publishedDate - Date to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateBookPublishedDate(publishedDate) {
+    // Publication date is optional
+    if (publishedDate === undefined || publishedDate === null || publishedDate === '') {
+        return { isValid: true, errors: [], sanitised: null };
+    }
+
+    const sanitised = String(publishedDate).trim();
+
+    if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(sanitised)) {
+        return { isValid: false, errors: ['Published date must be YYYY, YYYY-MM or YYYY-MM-DD'], sanitised: null };
+    }
+
+    return { isValid: true, errors: [], sanitised };
+}
+
+/**
+ * Validate book rating
+ * Ratings are optional and go from 1 to 5 in half-star steps.
+ * @param {number|string} rating - Rating to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateBookRating(rating) {
     const errors = [];
-    const sanitised = {};
 
-    // TODO: Implement complete book validation
-    // 1. Validate all book fields
-    // 2. Combine all validation results
-    // 3. Return comprehensive result
+    // Rating is optional
+    if (rating === undefined || rating === null || rating === '') {
+        return { isValid: true, errors: [], sanitised: null };
+    }
 
-    // PLACEHOLDER: Basic validation structure
-    const result = {
-        isValid: false,
-        errors: ['Book data validation not implemented yet'],
-        sanitised: bookData || {}
+    const sanitised = Number(rating);
+
+    if (!Number.isFinite(sanitised)) {
+        errors.push('Rating must be a number');
+        return { isValid: false, errors, sanitised: null };
+    }
+
+    if (sanitised < 1 || sanitised > 5) {
+        errors.push('Rating must be between 1 and 5');
+    }
+
+    // only whole and half stars
+    if (!Number.isInteger(sanitised * 2)) {
+        errors.push('Rating must be in steps of 0.5');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        sanitised: errors.length === 0 ? sanitised : null
     };
+}
 
-    // EXAMPLE IMPLEMENTATION STRUCTURE:
-    /*
-    // Validate title (required)
-    const titleResult = validateBookTitle(bookData.title);
-    if (!titleResult.isValid) {
-        errors.push(...titleResult.errors);
-    } else {
-        sanitised.title = titleResult.sanitised;
+/**
+ * Validate book review
+ * Reviews are optional long-form text, separate from the short notes field.
+ * @param {string} review - Review to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateBookReview(review) {
+    const errors = [];
+
+    // Review is optional
+    if (review === undefined || review === null) {
+        return { isValid: true, errors: [], sanitised: null };
     }
 
-    // Validate author (optional)
-    const authorResult = validateBookAuthor(bookData.author);
-    if (!authorResult.isValid) {
-        errors.push(...authorResult.errors);
-    } else {
-        sanitised.author = authorResult.sanitised;
+    if (typeof review !== 'string') {
+        errors.push('Review must be text');
+        return { isValid: false, errors, sanitised: null };
     }
 
-    // Validate genre (optional)
-    const genreResult = validateBookGenre(bookData.genre);
-    if (!genreResult.isValid) {
-        errors.push(...genreResult.errors);
-    } else {
-        sanitised.genre = genreResult.sanitised;
+    // Trim and sanitise
+    const sanitised = sanitiseHtml(review.trim());
+
+    // If empty after trimming, treat as null
+    if (sanitised.length === 0) {
+        return { isValid: true, errors: [], sanitised: null };
     }
 
-    // Validate status (optional with default)
-    const statusResult = validateBookStatus(bookData.status);
-    if (!statusResult.isValid) {
-        errors.push(...statusResult.errors);
-    } else {
-        sanitised.status = statusResult.sanitised;
+    if (sanitised.length > MAX_REVIEW_LENGTH) {
+        errors.push(`Review must not exceed ${MAX_REVIEW_LENGTH} characters`);
     }
 
-    // Validate notes (optional)
-    const notesResult = validateBookNotes(bookData.notes);
-    if (!notesResult.isValid) {
-        errors.push(...notesResult.errors);
-    } else {
-        sanitised.notes = notesResult.sanitised;
+    return {
+        isValid: errors.length === 0,
+        errors,
+        sanitised
+    };
+}
+
+/**
+ * Validate a tag name
+ * Tags replace the old single genre. Commas are not allowed so tag lists
+ * can be passed as comma separated query parameters.
+ * @param {string} name - Tag name to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateTagName(name) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string') {
+        errors.push('Tag name is required');
+        return { isValid: false, errors, sanitised: '' };
     }
 
-    const result = {
+    // Trim and collapse internal whitespace
+    const sanitised = name.trim().replace(/\s+/g, ' ');
+
+    if (sanitised.length === 0) {
+        errors.push('Tag name cannot be empty');
+    }
+    if (sanitised.length > MAX_TAG_LENGTH) {
+        errors.push(`Tag name must not exceed ${MAX_TAG_LENGTH} characters`);
+    }
+    if (sanitised.includes(',')) {
+        errors.push('Tag name cannot contain commas');
+    }
+
+    return {
         isValid: errors.length === 0,
         errors,
         sanitised
     };
-    */
+}
 
-    return result;
+/**
+ * Validate a shelf name
+ * Shelves are named collections like "Book club 2026", so unlike tags
+ * they may contain any punctuation.
+ * @param {string} name - Shelf name to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateShelfName(name) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string') {
+        errors.push('Shelf name is required');
+        return { isValid: false, errors, sanitised: '' };
+    }
+
+    // Trim, collapse internal whitespace and strip markup
+    const sanitised = sanitiseHtml(name).trim().replace(/\s+/g, ' ');
+
+    if (sanitised.length === 0) {
+        errors.push('Shelf name cannot be empty');
+    }
+    if (sanitised.length > MAX_SHELF_NAME_LENGTH) {
+        errors.push(`Shelf name must not exceed ${MAX_SHELF_NAME_LENGTH} characters`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        sanitised
+    };
+}
+
+/**
+ * Validate complete book data
+ * @param {Object} bookData - Book data to validate
+ * @returns {ValidationResult} - Validation result
+ */
+function validateBookData(bookData) {
+    const errors = [];
+    const sanitised = {};
+
+    if (!bookData || typeof bookData !== 'object') {
+        return { isValid: false, errors: ['Book data is required'], sanitised };
+    }
+
+    // run each field through its validator, keeping the sanitised value
+    const fields = {
+        title: validateBookTitle,
+        author: validateBookAuthor,
+        status: validateBookStatus,
+        notes: validateBookNotes,
+        isbn: validateBookIsbn,
+        page_count: validateBookPageCount,
+        published_date: validateBookPublishedDate,
+        rating: validateBookRating,
+        review: validateBookReview
+    };
+
+    for (const [field, validate] of Object.entries(fields)) {
+        const result = validate(bookData[field]);
+        if (!result.isValid) {
+            errors.push(...result.errors);
+        } else {
+            sanitised[field] = result.sanitised;
+        }
+    }
+
+    // Tags (optional)
+    if (bookData.tags !== undefined) {
+        if (!Array.isArray(bookData.tags) || bookData.tags.length > MAX_TAGS_PER_BOOK) {
+            errors.push(`Tags must be a list of at most ${MAX_TAGS_PER_BOOK} names`);
+        } else {
+            sanitised.tags = [];
+            for (const tag of bookData.tags) {
+                const tagResult = validateTagName(tag);
+                if (!tagResult.isValid) {
+                    errors.push(...tagResult.errors);
+                } else {
+                    sanitised.tags.push(tagResult.sanitised);
+                }
+            }
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        sanitised
+    };
 }
 
 // =============================================================================
@@ -598,6 +721,19 @@ function sanitiseHtml(input) {
     */
 }
 
+/**
+ * Turn a ValidationResult into an express-validator custom check
+ * Throws with the joined error messages so they show up in the 400 response.
+ * @param {ValidationResult} result - Result from one of the validators above
+ * @returns {boolean} - true when valid
+ */
+function assertValid(result) {
+    if (!result.isValid) {
+        throw new Error(result.errors.join('. '));
+    }
+    return true;
+}
+
 /**
  * Validate email address format
  * @param {string} email - Email to validate
@@ -649,6 +785,9 @@ function validateEmail(email) {
 
 // Export all validation functions
 module.exports = {
+    // Limits
+    MAX_TAGS_PER_BOOK,
+
     // User validation
     validateUsername,
     validatePassword,
@@ -660,9 +799,17 @@ module.exports = {
     validateBookGenre,
     validateBookStatus,
     validateBookNotes,
+    validateBookIsbn,
+    validateBookPageCount,
+    validateBookPublishedDate,
+    validateBookRating,
+    validateBookReview,
+    validateTagName,
+    validateShelfName,
     validateBookData,
     
     // General utilities
+    assertValid,
     sanitiseHtml,
     validateEmail
 }; 
\ No newline at end of file
@@ -2,13 +2,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
+const { migrateUp, MIGRATIONS_DIR } = require('../backend/utils/migrations');
 
 // configuration
 
 const DB_DIR = path.join(__dirname);
 const DB_PATH = path.join(DB_DIR, 'reading_list.db');
-const SCHEMA_PATH = path.join(DB_DIR, 'schema.sql');
 
 // Command line options
 const args = process.argv.slice(2);
@@ -24,64 +23,6 @@ function log(message, level = 'info') {
     console.log(`[${timestamp}] ${prefix} ${message}`);
 }
 
-// read SQL file content
-function readSqlFile(filePath) {
-    if (!fs.existsSync(filePath)) {
-        throw new Error(`SQL file not found: ${filePath}`);
-    }
-    
-    const content = fs.readFileSync(filePath, 'utf8');
-    if (isVerbose) {
-        log(`Read SQL file: ${filePath} (${content.length} characters)`);
-    }
-    
-    return content;
-}
-
-// execute SQL commands from a string
-function executeSql(db, sql) {
-    return new Promise((resolve, reject) => {
-        // split SQL into individual statements (basic approach)
-        // note: this is a simple implementation and will not handle complex cases
-        const statements = sql
-            .split(';')
-            .map(stmt => stmt.trim())
-            .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
-
-        if (statements.length === 0) {
-            return resolve();
-        }
-
-        let completed = 0;
-        let hasError = false;
-
-        function executeNext() {
-            if (completed >= statements.length) {
-                return resolve();
-            }
-
-            const statement = statements[completed];
-            if (isVerbose) {
-                log(`Executing SQL statement ${completed + 1}/${statements.length}`);
-            }
-
-            db.exec(statement, (err) => {
-                if (err && !hasError) {
-                    hasError = true;
-                    log(`SQL execution error: ${err.message}`, 'error');
-                    log(`Statement: ${statement.substring(0, 100)}...`, 'error');
-                    return reject(err);
-                }
-
-                completed++;
-                executeNext();
-            });
-        }
-
-        executeNext();
-    });
-}
-
 // create database directory if it doesn't exist
 function ensureDbDirectory() {
     if (!fs.existsSync(DB_DIR)) {
@@ -98,19 +39,6 @@ function resetDatabase() {
     }
 }
 
-// test database connection
-function testConnection(db) {
-    return new Promise((resolve, reject) => {
-        db.get('SELECT 1 as test', (err, row) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(row);
-            }
-        });
-    });
-}
-
 // main initialisation function
 async function initializeDatabase() {
     try {
@@ -124,56 +52,14 @@ async function initializeDatabase() {
             resetDatabase();
         }
 
-        // step 2: create database connection
-        log(`📁 Opening database: ${DB_PATH}`);
-        const db = new sqlite3.Database(DB_PATH, (err) => {
-            if (err) {
-                throw new Error(`Failed to open database: ${err.message}`);
-            }
-        });
-
-        // enable foreign key constraints
-        await new Promise((resolve, reject) => {
-            db.run('PRAGMA foreign_keys = ON', (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-        });
-
-        // step 3: test connection
-        log('🔍 Testing database connection...');
-        await testConnection(db);
-        log('✅ Database connection successful');
-
-        // step 4: create schema
-        log('📋 Creating database schema...');
-        const schemaContent = readSqlFile(SCHEMA_PATH);
-        await executeSql(db, schemaContent);
-        log('✅ Database schema created successfully');
-
-        // step 5: verify setup
-        log('🔍 Verifying database setup...');
-        
-        // check if tables exist
-        const tables = await new Promise((resolve, reject) => {
-            db.all(
-                "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            );
-        });
-
-        log(`📊 Found ${tables.length} tables: ${tables.map(t => t.name).join(', ')}`);
-
-        // step 6: close connection
-        await new Promise((resolve, reject) => {
-            db.close((err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-        });
+        // step 2: create the schema by applying every pending migration
+        log(`📋 Applying migrations to ${DB_PATH}...`);
+        const applied = await migrateUp(DB_PATH);
+        if (applied.length > 0) {
+            log(`✅ Applied ${applied.length} migration(s)`);
+        } else {
+            log('✅ Database schema is already up to date');
+        }
 
         log('🎉 Database initialisation completed successfully!');
         
@@ -215,11 +101,12 @@ Examples:
 The script will:
 1. Create the database directory if it doesn't exist
 2. Create or reset the SQLite database file
-3. Run the schema.sql file to create tables and indexes
-4. Verify the setup was successful
+3. Apply any pending migrations from db/migrations to create or update the schema
+
+Use db/migrate.js to check migration status or roll migrations back.
 
 Database location: ${DB_PATH}
-Schema file: ${SCHEMA_PATH}
+Migrations: ${MIGRATIONS_DIR}
 `);
 }
 
@@ -256,6 +143,5 @@ if (require.main === module) {
 // export for use as a module
 module.exports = {
     initializeDatabase,
-    DB_PATH,
-    SCHEMA_PATH
+    DB_PATH
 }; 
\ No newline at end of file
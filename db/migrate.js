@@ -0,0 +1,130 @@
+// database migration script
+//
+// applies, lists and rolls back the numbered migrations in db/migrations
+
+const path = require('path');
+const {
+    migrateUp,
+    migrateDown,
+    getMigrationStatus,
+    MIGRATIONS_DIR
+} = require('../backend/utils/migrations');
+
+// configuration
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'reading_list.db');
+
+// Command line options
+const args = process.argv.slice(2);
+const command = args[0];
+
+// utility functions
+
+// log message with timestamp
+function log(message, level = 'info') {
+    const timestamp = new Date().toISOString();
+    const prefix = level.toUpperCase().padEnd(5);
+    console.log(`[${timestamp}] ${prefix} ${message}`);
+}
+
+// read the value of --steps (defaults to 1)
+function parseSteps() {
+    const index = args.findIndex(arg => arg === '--steps' || arg === '-n');
+    if (index === -1) {
+        return 1;
+    }
+
+    const steps = Number(args[index + 1]);
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive whole number');
+    }
+    return steps;
+}
+
+// commands
+
+async function up() {
+    const applied = await migrateUp(DB_PATH);
+    if (applied.length === 0) {
+        log('✅ Nothing to migrate, the database is up to date');
+    } else {
+        log(`✅ Applied ${applied.length} migration(s)`);
+    }
+}
+
+async function down() {
+    const rolledBack = await migrateDown(DB_PATH, parseSteps());
+    if (rolledBack.length === 0) {
+        log('Nothing to roll back, no migrations have been applied');
+    } else {
+        log(`↩️  Rolled back ${rolledBack.length} migration(s)`);
+    }
+}
+
+async function status() {
+    const migrations = await getMigrationStatus(DB_PATH);
+    if (migrations.length === 0) {
+        log(`No migrations found in ${MIGRATIONS_DIR}`);
+        return;
+    }
+
+    console.log('\nState     Applied at           Migration');
+    for (const migration of migrations) {
+        console.log(`${migration.state.padEnd(9)} ${(migration.applied_at || '-').padEnd(20)} ${migration.name}`);
+    }
+
+    const pending = migrations.filter(migration => migration.state === 'pending').length;
+    console.log(`\n${pending} pending migration(s)`);
+}
+
+// CLI handling
+
+function showHelp() {
+    console.log(`
+Reading List Manager - Database Migrations
+
+Usage: node db/migrate.js <command> [options]
+
+Commands:
+  up             Apply every pending migration
+  status         List migrations and whether they have been applied
+  down           Roll back the most recently applied migration(s)
+
+Options:
+  --steps, -n    Number of migrations to roll back with down (default 1)
+  --help, -h     Show this help message
+
+Examples:
+  node db/migrate.js up              # Bring the database up to date
+  node db/migrate.js status          # See what has been applied
+  node db/migrate.js down            # Undo the last migration
+  node db/migrate.js down --steps 3  # Undo the last three migrations
+
+The server applies pending migrations when it starts, so "up" is only
+needed to upgrade a database without starting the server.
+
+Database location: ${DB_PATH}
+Migrations: ${MIGRATIONS_DIR}
+`);
+}
+
+const commands = { up, down, status };
+
+// only run if this file is executed directly (not required as a module)
+if (require.main === module) {
+    if (!command || args.includes('--help') || args.includes('-h')) {
+        showHelp();
+        process.exit(command ? 0 : 1);
+    }
+
+    if (!commands[command]) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error('Use --help for usage information');
+        process.exit(1);
+    }
+
+    commands[command]().catch((error) => {
+        log(`❌ ${error.message}`, 'error');
+        process.exit(1);
+    });
+}
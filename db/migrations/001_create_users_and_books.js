@@ -0,0 +1,171 @@
+// users and books tables, their indexes and the statistics views
+//
+// databases created before migrations existed already have these tables,
+// possibly without the later book columns. the tables are then left as they
+// are (CHECK constraints included or not) and only the missing columns are added
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            -- Table to store user account information
+            CREATE TABLE IF NOT EXISTS users (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Username must be unique and not nullable
+                username TEXT UNIQUE NOT NULL,
+
+                -- Hashed password (never store plain text passwords!)
+                password_hash TEXT NOT NULL,
+
+                -- Timestamp when the user account was created
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                -- Constraints to ensure data integrity
+                CONSTRAINT users_username_length CHECK (LENGTH(username) >= 3 AND LENGTH(username) <= 30),
+                CONSTRAINT users_username_format CHECK (username GLOB '[A-Za-z0-9_-]*')
+            );
+
+            -- Table to store book information for each user
+            CREATE TABLE IF NOT EXISTS books (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Book title (required)
+                title TEXT NOT NULL,
+
+                -- Book author (optional)
+                author TEXT,
+
+                -- Legacy single genre (no longer written; migrated into tags/book_tags)
+                genre TEXT,
+
+                -- Reading status with predefined values
+                status TEXT CHECK(status IN ('read', 'reading', 'to-read')) DEFAULT 'to-read',
+
+                -- Personal notes about the book (optional)
+                notes TEXT,
+
+                -- Book metadata, usually filled in from Google Books (all optional)
+                -- ISBN-10 or ISBN-13 stored without hyphens
+                isbn TEXT,
+                page_count INTEGER,
+                cover_url TEXT,
+                -- YYYY, YYYY-MM or YYYY-MM-DD as returned by Google Books
+                published_date TEXT,
+                -- language code such as 'en'
+                language TEXT,
+                google_books_id TEXT,
+
+                -- Latest reading progress (the full log lives in reading_progress)
+                current_page INTEGER,
+                progress_percent REAL,
+
+                -- Star rating from 1 to 5 in half-star steps (optional)
+                rating REAL,
+
+                -- Long-form review, separate from the short notes (optional)
+                review TEXT,
+
+                -- Foreign key linking to the users table
+                user_id INTEGER NOT NULL,
+
+                -- Timestamp when the book was added
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                -- Timestamp when the book was last updated
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                -- Foreign key constraint ensuring referential integrity
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+                -- Additional constraints for data validation
+                CONSTRAINT books_title_length CHECK (LENGTH(title) >= 1 AND LENGTH(title) <= 255),
+                CONSTRAINT books_author_length CHECK (author IS NULL OR LENGTH(author) <= 255),
+                CONSTRAINT books_genre_length CHECK (genre IS NULL OR LENGTH(genre) <= 100),
+                CONSTRAINT books_notes_length CHECK (notes IS NULL OR LENGTH(notes) <= 1000),
+                CONSTRAINT books_isbn_length CHECK (isbn IS NULL OR LENGTH(isbn) IN (10, 13)),
+                CONSTRAINT books_page_count_positive CHECK (page_count IS NULL OR page_count > 0),
+                CONSTRAINT books_cover_url_length CHECK (cover_url IS NULL OR LENGTH(cover_url) <= 500),
+                CONSTRAINT books_current_page_range CHECK (current_page IS NULL OR current_page >= 0),
+                CONSTRAINT books_progress_percent_range CHECK (progress_percent IS NULL OR (progress_percent >= 0 AND progress_percent <= 100)),
+                CONSTRAINT books_rating_range CHECK (rating IS NULL OR (rating >= 1 AND rating <= 5 AND rating * 2 = CAST(rating * 2 AS INTEGER))),
+                CONSTRAINT books_review_length CHECK (review IS NULL OR LENGTH(review) <= 10000)
+            );
+        `);
+
+        // columns added to books after the first release
+        await db.addColumns('books', {
+            genre: 'TEXT',
+            isbn: 'TEXT',
+            page_count: 'INTEGER',
+            cover_url: 'TEXT',
+            published_date: 'TEXT',
+            language: 'TEXT',
+            google_books_id: 'TEXT',
+            current_page: 'INTEGER',
+            progress_percent: 'REAL',
+            rating: 'REAL',
+            review: 'TEXT'
+        });
+
+        await db.exec(`
+            -- Index on user_id for faster book queries by user
+            -- This is crucial for performance when fetching a user's books
+            CREATE INDEX IF NOT EXISTS idx_books_user_id ON books(user_id);
+
+            -- Index on status for filtering books by reading status
+            CREATE INDEX IF NOT EXISTS idx_books_status ON books(status);
+
+            -- Index on genre (legacy column, kept for existing databases)
+            CREATE INDEX IF NOT EXISTS idx_books_genre ON books(genre);
+
+            -- Index on author for public statistics and search
+            CREATE INDEX IF NOT EXISTS idx_books_author ON books(author);
+
+            -- Composite index for user books with status filtering
+            CREATE INDEX IF NOT EXISTS idx_books_user_status ON books(user_id, status);
+
+            -- Index on isbn for looking up books by identifier
+            CREATE INDEX IF NOT EXISTS idx_books_isbn ON books(isbn);
+
+            -- Index on created_at for ordering books by when they were added
+            CREATE INDEX IF NOT EXISTS idx_books_created_at ON books(created_at);
+
+            -- view to get book statistics by user (useful for dashboards)
+            CREATE VIEW IF NOT EXISTS user_book_stats AS
+            SELECT
+                u.id as user_id,
+                u.username,
+                COUNT(b.id) as total_books,
+                COUNT(CASE WHEN b.status = 'read' THEN 1 END) as books_read,
+                COUNT(CASE WHEN b.status = 'reading' THEN 1 END) as books_reading,
+                COUNT(CASE WHEN b.status = 'to-read' THEN 1 END) as books_to_read
+            FROM users u
+            LEFT JOIN books b ON u.id = b.user_id
+            GROUP BY u.id, u.username;
+
+            -- View for public book statistics (anonymised)
+            CREATE VIEW IF NOT EXISTS public_book_stats AS
+            SELECT
+                title,
+                author,
+                COUNT(*) as times_added,
+                COUNT(CASE WHEN status = 'read' THEN 1 END) as times_read
+            FROM books
+            WHERE title IS NOT NULL
+            GROUP BY title, author
+            HAVING times_added > 1  -- only show books added by multiple users
+            ORDER BY times_added DESC;
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP VIEW IF EXISTS public_book_stats;
+            DROP VIEW IF EXISTS user_book_stats;
+            DROP TABLE IF EXISTS books;
+            DROP TABLE IF EXISTS users;
+        `);
+    }
+};
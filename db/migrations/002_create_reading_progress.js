@@ -0,0 +1,36 @@
+// timestamped log of reading progress updates for a book
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS reading_progress (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Book the progress belongs to
+                book_id INTEGER NOT NULL,
+
+                -- Page reached (NULL if only a percentage was given and the page count is unknown)
+                page INTEGER,
+
+                -- Percentage reached (NULL if only a page was given and the page count is unknown)
+                percent REAL,
+
+                -- Timestamp of the update
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+
+                CONSTRAINT reading_progress_page_range CHECK (page IS NULL OR page >= 0),
+                CONSTRAINT reading_progress_percent_range CHECK (percent IS NULL OR (percent >= 0 AND percent <= 100))
+            );
+
+            -- Index on book_id for fetching a book's progress log
+            CREATE INDEX IF NOT EXISTS idx_reading_progress_book_id ON reading_progress(book_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS reading_progress');
+    }
+};
@@ -0,0 +1,55 @@
+// one row per read of a book, so re-reads keep their own dates.
+// rows are opened/closed automatically when a book's status changes
+// and can be corrected through the API.
+//
+// books already being read or finished get a session backfilled from
+// their last update, unless the table was already there
+
+module.exports = {
+    async up(db) {
+        const hadReadingSessions = await db.tableExists('reading_sessions');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS reading_sessions (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Book that was read
+                book_id INTEGER NOT NULL,
+
+                -- When the read started (NULL if unknown, e.g. the book was added as already read)
+                started_at DATETIME,
+
+                -- When the read finished (NULL while still reading)
+                finished_at DATETIME,
+
+                -- Timestamps for the row itself
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+
+                CONSTRAINT reading_sessions_dates CHECK (started_at IS NOT NULL OR finished_at IS NOT NULL),
+                CONSTRAINT reading_sessions_order CHECK (started_at IS NULL OR finished_at IS NULL OR finished_at >= started_at)
+            );
+
+            -- Index on book_id for fetching a book's reading sessions
+            CREATE INDEX IF NOT EXISTS idx_reading_sessions_book_id ON reading_sessions(book_id);
+        `);
+
+        if (!hadReadingSessions) {
+            await db.run(`
+                INSERT INTO reading_sessions (book_id, started_at, finished_at)
+                SELECT id,
+                       CASE WHEN status = 'reading' THEN updated_at END,
+                       CASE WHEN status = 'read' THEN updated_at END
+                FROM books
+                WHERE status IN ('reading', 'read')
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS reading_sessions');
+    }
+};
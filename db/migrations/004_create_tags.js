@@ -0,0 +1,68 @@
+// tags a user organises their books with (replaces the single genre)
+// and the many-to-many link between books and tags
+//
+// the first time, each book's free-text genre becomes a tag.
+// the genre column itself is left untouched
+
+module.exports = {
+    async up(db) {
+        const hadTags = await db.tableExists('tags');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS tags (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Owner of the tag, tags are not shared between users
+                user_id INTEGER NOT NULL,
+
+                -- Tag name, unique per user regardless of case
+                name TEXT NOT NULL COLLATE NOCASE,
+
+                -- Timestamp when the tag was created
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                UNIQUE (user_id, name),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+                CONSTRAINT tags_name_length CHECK (LENGTH(name) >= 1 AND LENGTH(name) <= 50),
+                CONSTRAINT tags_name_no_commas CHECK (INSTR(name, ',') = 0)
+            );
+
+            CREATE TABLE IF NOT EXISTS book_tags (
+                book_id INTEGER NOT NULL,
+                tag_id INTEGER NOT NULL,
+
+                PRIMARY KEY (book_id, tag_id),
+                FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+            );
+
+            -- Index on tag_id for finding the books that carry a tag
+            -- (book_id lookups are covered by the book_tags primary key)
+            CREATE INDEX IF NOT EXISTS idx_book_tags_tag_id ON book_tags(tag_id);
+        `);
+
+        if (!hadTags) {
+            await db.run(`
+                INSERT OR IGNORE INTO tags (user_id, name)
+                SELECT DISTINCT user_id, TRIM(genre)
+                FROM books
+                WHERE genre IS NOT NULL AND TRIM(genre) != ''
+            `);
+            await db.run(`
+                INSERT OR IGNORE INTO book_tags (book_id, tag_id)
+                SELECT b.id, t.id
+                FROM books b
+                JOIN tags t ON t.user_id = b.user_id AND t.name = TRIM(b.genre)
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS book_tags;
+            DROP TABLE IF EXISTS tags;
+        `);
+    }
+};
@@ -0,0 +1,52 @@
+// named collections ("Book club 2026", "Gifts") kept in the user's own order
+// and the many-to-many link between books and shelves
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS shelves (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Owner of the shelf, shelves are not shared between users
+                user_id INTEGER NOT NULL,
+
+                -- Shelf name, unique per user regardless of case
+                name TEXT NOT NULL COLLATE NOCASE,
+
+                -- Sort position in the user's shelf list (0 first)
+                position INTEGER NOT NULL DEFAULT 0,
+
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                UNIQUE (user_id, name),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+                CONSTRAINT shelves_name_length CHECK (LENGTH(name) >= 1 AND LENGTH(name) <= 100)
+            );
+
+            CREATE TABLE IF NOT EXISTS book_shelves (
+                book_id INTEGER NOT NULL,
+                shelf_id INTEGER NOT NULL,
+
+                -- When the book was put on the shelf
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                PRIMARY KEY (book_id, shelf_id),
+                FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+                FOREIGN KEY (shelf_id) REFERENCES shelves(id) ON DELETE CASCADE
+            );
+
+            -- Index for listing the books on a shelf
+            CREATE INDEX IF NOT EXISTS idx_book_shelves_shelf_id ON book_shelves(shelf_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS book_shelves;
+            DROP TABLE IF EXISTS shelves;
+        `);
+    }
+};
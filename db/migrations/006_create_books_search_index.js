@@ -0,0 +1,48 @@
+// full-text search index over titles, authors and notes
+// external content table: the text lives in books and the triggers keep the
+// index in sync. the first time, it is built from the books already there
+
+module.exports = {
+    async up(db) {
+        const hadSearchIndex = await db.tableExists('books_fts');
+
+        await db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+                title, author, notes,
+                content = 'books',
+                content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS books_fts_after_insert AFTER INSERT ON books BEGIN
+                INSERT INTO books_fts (rowid, title, author, notes)
+                VALUES (new.id, new.title, new.author, new.notes);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS books_fts_after_delete AFTER DELETE ON books BEGIN
+                INSERT INTO books_fts (books_fts, rowid, title, author, notes)
+                VALUES ('delete', old.id, old.title, old.author, old.notes);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS books_fts_after_update AFTER UPDATE OF title, author, notes ON books BEGIN
+                INSERT INTO books_fts (books_fts, rowid, title, author, notes)
+                VALUES ('delete', old.id, old.title, old.author, old.notes);
+                INSERT INTO books_fts (rowid, title, author, notes)
+                VALUES (new.id, new.title, new.author, new.notes);
+            END;
+        `);
+
+        if (!hadSearchIndex) {
+            await db.run(`INSERT INTO books_fts (books_fts) VALUES ('rebuild')`);
+        }
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TRIGGER IF EXISTS books_fts_after_update;
+            DROP TRIGGER IF EXISTS books_fts_after_delete;
+            DROP TRIGGER IF EXISTS books_fts_after_insert;
+            DROP TABLE IF EXISTS books_fts;
+        `);
+    }
+};
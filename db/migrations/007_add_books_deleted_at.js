@@ -0,0 +1,63 @@
+// soft delete for books
+//
+// deleting a book now sets deleted_at instead of removing the row, so it can
+// be restored from the trash until it is purged. the statistics views are
+// recreated to leave deleted books out
+
+const VIEWS = (liveBooks) => `
+    CREATE VIEW user_book_stats AS
+    SELECT
+        u.id as user_id,
+        u.username,
+        COUNT(b.id) as total_books,
+        COUNT(CASE WHEN b.status = 'read' THEN 1 END) as books_read,
+        COUNT(CASE WHEN b.status = 'reading' THEN 1 END) as books_reading,
+        COUNT(CASE WHEN b.status = 'to-read' THEN 1 END) as books_to_read
+    FROM users u
+    LEFT JOIN books b ON u.id = b.user_id${liveBooks ? ' AND b.deleted_at IS NULL' : ''}
+    GROUP BY u.id, u.username;
+
+    CREATE VIEW public_book_stats AS
+    SELECT
+        title,
+        author,
+        COUNT(*) as times_added,
+        COUNT(CASE WHEN status = 'read' THEN 1 END) as times_read
+    FROM books
+    WHERE title IS NOT NULL${liveBooks ? ' AND deleted_at IS NULL' : ''}
+    GROUP BY title, author
+    HAVING times_added > 1  -- only show books added by multiple users
+    ORDER BY times_added DESC;
+`;
+
+module.exports = {
+    async up(db) {
+        await db.addColumns('books', { deleted_at: 'DATETIME' });
+
+        await db.exec(`
+            -- the trash is listed per user, and purging looks for old deletions
+            CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON books(deleted_at);
+
+            DROP VIEW IF EXISTS public_book_stats;
+            DROP VIEW IF EXISTS user_book_stats;
+            ${VIEWS(true)}
+        `);
+    },
+
+    async down(db) {
+        // books in the trash would come back to life without the column.
+        // foreign keys are off while migrating, so their rows are removed by hand
+        for (const table of ['reading_progress', 'reading_sessions', 'book_tags', 'book_shelves']) {
+            await db.run(`DELETE FROM ${table} WHERE book_id IN (SELECT id FROM books WHERE deleted_at IS NOT NULL)`);
+        }
+        await db.run('DELETE FROM books WHERE deleted_at IS NOT NULL');
+
+        await db.exec(`
+            DROP VIEW IF EXISTS public_book_stats;
+            DROP VIEW IF EXISTS user_book_stats;
+            DROP INDEX IF EXISTS idx_books_deleted_at;
+        `);
+        await db.dropColumns('books', ['deleted_at']);
+        await db.exec(VIEWS(false));
+    }
+};
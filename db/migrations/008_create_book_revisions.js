@@ -0,0 +1,35 @@
+// edit history for books
+// every update saves what the book looked like before it and which fields
+// changed, so an edit can be looked back on and reverted
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS book_revisions (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Book that was edited
+                book_id INTEGER NOT NULL,
+
+                -- JSON object of the book's editable fields (and tags) before the edit
+                snapshot TEXT NOT NULL,
+
+                -- JSON object of the fields the edit changed: { "notes": { "from": ..., "to": ... } }
+                changes TEXT NOT NULL,
+
+                -- When the edit was made
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+            );
+
+            -- Index on book_id for fetching a book's history
+            CREATE INDEX IF NOT EXISTS idx_book_revisions_book_id ON book_revisions(book_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS book_revisions;');
+    }
+};
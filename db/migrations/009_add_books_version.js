@@ -0,0 +1,23 @@
+// version numbers for books, used for optimistic concurrency control
+// (the ETag of a book). a trigger bumps the version whenever the row changes,
+// however it was changed, so every write path is covered
+
+module.exports = {
+    async up(db) {
+        await db.addColumns('books', { version: 'INTEGER NOT NULL DEFAULT 1' });
+
+        await db.exec(`
+            -- the WHEN clause stops the trigger's own update from bumping it again
+            CREATE TRIGGER IF NOT EXISTS books_version_after_update AFTER UPDATE ON books
+            WHEN new.version = old.version
+            BEGIN
+                UPDATE books SET version = old.version + 1 WHERE id = new.id;
+            END;
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TRIGGER IF EXISTS books_version_after_update;');
+        await db.dropColumns('books', ['version']);
+    }
+};
@@ -0,0 +1,43 @@
+// reading goals: read so many books, or so many pages, in a year or a month.
+// progress isn't stored, it is worked out from the books finished in the period
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS goals (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- Owner of the goal
+                user_id INTEGER NOT NULL,
+
+                -- What is counted: finished books or their pages
+                type TEXT NOT NULL CHECK(type IN ('books', 'pages')),
+
+                -- How many books or pages to read
+                target INTEGER NOT NULL,
+
+                -- The period: a whole year, or one month of it (1-12)
+                year INTEGER NOT NULL,
+                month INTEGER,
+
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+                CONSTRAINT goals_target_positive CHECK (target > 0),
+                CONSTRAINT goals_year_range CHECK (year >= 1900 AND year <= 2100),
+                CONSTRAINT goals_month_range CHECK (month IS NULL OR (month >= 1 AND month <= 12))
+            );
+
+            -- One goal of each type per period (a yearly goal has no month)
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_goals_user_period
+                ON goals(user_id, type, year, COALESCE(month, 0));
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE IF EXISTS goals;');
+    }
+};
@@ -0,0 +1,33 @@
+// users can leave the public statistics: with public_stats_opt_out set none
+// of their books count towards them. the public_book_stats view is dropped
+// rather than taught about the opt-out: nothing reads it, the statistics are
+// worked out by getPublicBookStats (with the PUBLIC_STATS_MIN_READERS
+// threshold), and a view with a threshold of its own would only disagree
+
+// the view as 007 left it, put back when rolling back
+const VIEW = `
+    CREATE VIEW public_book_stats AS
+    SELECT
+        title,
+        author,
+        COUNT(*) as times_added,
+        COUNT(CASE WHEN status = 'read' THEN 1 END) as times_read
+    FROM books
+    WHERE title IS NOT NULL AND deleted_at IS NULL
+    GROUP BY title, author
+    HAVING times_added > 1  -- only show books added by multiple users
+    ORDER BY times_added DESC;
+`;
+
+module.exports = {
+    async up(db) {
+        await db.addColumns('users', { public_stats_opt_out: 'INTEGER NOT NULL DEFAULT 0' });
+
+        await db.exec('DROP VIEW IF EXISTS public_book_stats;');
+    },
+
+    async down(db) {
+        await db.dropColumns('users', ['public_stats_opt_out']);
+        await db.exec(VIEW);
+    }
+};
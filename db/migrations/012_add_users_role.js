@@ -0,0 +1,15 @@
+// user roles: 'user' for everyone, 'admin' for those who may look after the
+// shared catalogue (merging works). there is no way to become an admin from
+// the app, it is set in the database
+
+module.exports = {
+    async up(db) {
+        await db.addColumns('users', {
+            role: "TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user', 'admin'))"
+        });
+    },
+
+    async down(db) {
+        await db.dropColumns('users', ['role']);
+    }
+};
@@ -0,0 +1,98 @@
+// works: the catalogue of books as such ("Dune"), shared by every reader.
+// each book (a user's copy) is linked to a work, found by ISBN or else by
+// normalised title and author, so the public statistics count "Dune" and
+// "Dune: Deluxe Edition" together. existing books are linked here, oldest
+// first, so each work takes the title and author of its earliest copy
+
+const { titleAuthorKey, toIsbn13 } = require('../../backend/utils/matching');
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS works (
+                -- Primary key with auto-incrementing ID
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+                -- How the work is shown publicly, from the first copy linked to it
+                title TEXT NOT NULL,
+                author TEXT,
+
+                -- ISBN-13 of the first copy that had an ISBN
+                isbn TEXT,
+
+                -- Normalised title and author (see titleAuthorKey in utils/matching.js)
+                match_key TEXT NOT NULL,
+
+                -- Set when an admin merged this work into another one. The work
+                -- is kept so copies matching its ISBN or title find the other one
+                merged_into_id INTEGER,
+
+                -- Timestamps for tracking when records are created/updated
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (merged_into_id) REFERENCES works(id)
+            );
+
+            -- Works are looked up by ISBN and by title and author for every new copy
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_works_isbn ON works(isbn) WHERE isbn IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_works_match_key ON works(match_key);
+        `);
+
+        // not a foreign key: SQLite can't drop a column that is one
+        await db.addColumns('books', { work_id: 'INTEGER' });
+        await db.exec(`
+            -- Index on work_id for counting the copies of a work
+            CREATE INDEX IF NOT EXISTS idx_books_work_id ON books(work_id);
+        `);
+
+        // link the existing books, deleted ones included so a restored book
+        // already has its work. linking isn't an edit, so the version trigger
+        // (009) is set aside meanwhile and the books keep their versions
+        const versionTrigger = await db.get(
+            "SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'books_version_after_update'"
+        );
+        await db.exec('DROP TRIGGER IF EXISTS books_version_after_update;');
+
+        const works = await db.all('SELECT id, isbn, match_key FROM works WHERE merged_into_id IS NULL');
+        const byIsbn = new Map(works.filter(work => work.isbn).map(work => [work.isbn, work.id]));
+        const byKey = new Map(works.map(work => [work.match_key, work.id]));
+        const books = await db.all('SELECT id, title, author, isbn FROM books WHERE work_id IS NULL ORDER BY id');
+
+        for (const book of books) {
+            const isbn = toIsbn13(book.isbn);
+            const key = titleAuthorKey(book.title, book.author);
+            let workId = (isbn && byIsbn.get(isbn)) || byKey.get(key);
+
+            if (!workId) {
+                const inserted = await db.run(
+                    'INSERT INTO works (title, author, isbn, match_key) VALUES (?, ?, ?, ?)',
+                    [book.title, book.author, isbn, key]
+                );
+                workId = inserted.id;
+                byKey.set(key, workId);
+                if (isbn) {
+                    byIsbn.set(isbn, workId);
+                }
+            } else if (isbn && !byIsbn.has(isbn)) {
+                // matched by title: the work takes the ISBN if it has none yet
+                const updated = await db.run('UPDATE works SET isbn = ? WHERE id = ? AND isbn IS NULL', [isbn, workId]);
+                if (updated.changes > 0) {
+                    byIsbn.set(isbn, workId);
+                }
+            }
+
+            await db.run('UPDATE books SET work_id = ? WHERE id = ?', [workId, book.id]);
+        }
+
+        if (versionTrigger) {
+            await db.exec(`${versionTrigger.sql};`);
+        }
+    },
+
+    async down(db) {
+        await db.exec('DROP INDEX IF EXISTS idx_books_work_id;');
+        await db.dropColumns('books', ['work_id']);
+        await db.exec('DROP TABLE IF EXISTS works;');
+    }
+};
@@ -0,0 +1,37 @@
+// the version of a book only goes up when something the user can see or edit
+// changes. the trigger from 009 fired on any update, so relinking books to
+// another work (an admin merging works) gave them new versions and anyone
+// editing one got a conflict with nothing in it. work_id no longer counts;
+// updated_at still does, since it is all that changes on the book when only
+// its tags or shelves are edited
+
+const TRIGGER = (columns) => `
+    -- the WHEN clause stops the trigger's own update from bumping it again
+    CREATE TRIGGER IF NOT EXISTS books_version_after_update AFTER UPDATE${columns ? ` OF ${columns}` : ''} ON books
+    WHEN new.version = old.version
+    BEGIN
+        UPDATE books SET version = old.version + 1 WHERE id = new.id;
+    END;
+`;
+
+const VERSIONED_COLUMNS = `
+    title, author, genre, status, notes, isbn, page_count, cover_url, published_date,
+    language, google_books_id, current_page, progress_percent, rating, review,
+    deleted_at, updated_at
+`;
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            DROP TRIGGER IF EXISTS books_version_after_update;
+            ${TRIGGER(VERSIONED_COLUMNS)}
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TRIGGER IF EXISTS books_version_after_update;
+            ${TRIGGER(null)}
+        `);
+    }
+};
@@ -11,8 +11,21 @@ import { writable } from 'svelte/store';
 // books state
 // contains user's books and loading/error states
 
+const PAGE_SIZE = 20;
+
+const defaultQuery = {
+    status: '',          // Filter by reading status
+    tag: '',             // Filter by tag name
+    shelf: '',           // Filter by shelf ID
+    search: '',          // Search title and author
+    sort: '',            // e.g. 'title' or '-updated_at'
+    limit: PAGE_SIZE     // Books per page
+};
+
 const initialState = {
-    books: [],           // Array of user's books
+    books: [],           // Books loaded so far (one or more pages)
+    query: defaultQuery, // Filters and sort used for the current list
+    pagination: null,    // Paging info from the last fetch
     isLoading: false,    // Loading state for operations
     error: null,         // Error message if any
     lastUpdated: null    // When books were last fetched
@@ -23,14 +36,40 @@ const { subscribe, set, update } = writable(initialState);
 
 // API functions
 
-// fetch all books for the current user
-// called when user logs in or app loads
+// build the query string for the book list endpoint
+function buildListParams(query, page) {
+    const params = new URLSearchParams({ page, limit: query.limit || PAGE_SIZE });
+
+    ['status', 'tag', 'shelf', 'search', 'sort'].forEach(key => {
+        if (query[key]) {
+            params.set(key, query[key]);
+        }
+    });
+
+    return params;
+}
+
+// build the download URL for an export of the books matching a query
+// format is 'csv', 'json' or 'goodreads'
+function getExportUrl(query, format = 'csv') {
+    const params = new URLSearchParams({ format });
+
+    ['status', 'tag', 'shelf', 'search', 'sort'].forEach(key => {
+        if (query[key]) {
+            params.set(key, query[key]);
+        }
+    });
+
+    return `/api/books/export?${params}`;
+}
 
-async function fetchBooks() {
+// fetch one page of books for the current user
+// when append is true the page is added to the books already loaded
+async function fetchPage(query, page, append) {
     update(state => ({ ...state, isLoading: true, error: null }));
     
     try {
-        const response = await fetch('/api/books', {
+        const response = await fetch(`/api/books?${buildListParams(query, page)}`, {
             credentials: 'include'
         });
         
@@ -40,7 +79,9 @@ async function fetchBooks() {
             
             update(state => ({
                 ...state,
-                books: books,
+                books: append ? [...state.books, ...books] : books,
+                query,
+                pagination: data.pagination || null,
                 isLoading: false,
                 error: null,
                 lastUpdated: new Date()
@@ -69,6 +110,36 @@ async function fetchBooks() {
     }
 }
 
+// get the current store state without staying subscribed
+function getState() {
+    let current;
+    const unsubscribe = subscribe(state => {
+        current = state;
+    });
+    unsubscribe();
+    return current;
+}
+
+// fetch the first page of books for the current user
+// called when user logs in or app loads
+// pass filters/sort to change the query, they are kept for later pages
+
+async function fetchBooks(queryChanges = {}) {
+    const query = { ...getState().query, ...queryChanges };
+    return await fetchPage(query, 1, false);
+}
+
+// fetch the next page and append it to the loaded books
+async function fetchNextPage() {
+    const { query, pagination } = getState();
+
+    if (!pagination || !pagination.has_more) {
+        return { success: true, books: [] };
+    }
+
+    return await fetchPage(query, pagination.page + 1, true);
+}
+
 // add a new book to the user's collection
 async function addBook(bookData) {
     update(state => ({ ...state, isLoading: true, error: null }));
@@ -90,12 +161,23 @@ async function addBook(bookData) {
             update(state => ({
                 ...state,
                 books: [...state.books, newBook],
+                pagination: state.pagination && {
+                    ...state.pagination,
+                    total: state.pagination.total + 1
+                },
                 isLoading: false,
                 error: null,
                 lastUpdated: new Date()
             }));
             
             return { success: true, book: newBook };
+        } else if (response.status === 409) {
+            // looks like a book already in the library: the caller shows the
+            // matches and can add it anyway with allow_duplicate: true
+            const errorData = await response.json();
+            update(state => ({ ...state, isLoading: false }));
+
+            return { success: false, duplicates: errorData.duplicates, error: errorData.error };
         } else {
             const errorData = await response.json();
             update(state => ({ 
@@ -119,21 +201,43 @@ async function addBook(bookData) {
 }
 
 // update an existing book
-async function updateBook(bookId, bookData) {
+// pass the version the edit started from ({ version: book.version }) and the
+// update is refused if the book was changed since (e.g. in another tab). the
+// result then has conflict: true and current, the book as it is on the server,
+// so the user can keep theirs (update again with current.version) or take it
+async function updateBook(bookId, bookData, options = {}) {
+    return sendBookUpdate('PUT', bookId, bookData, options);
+}
+
+// update only some fields of a book, e.g. patchBook(id, { status: 'read' })
+// fields left out keep their values on the server. takes the same options
+// and gives the same results as updateBook
+async function patchBook(bookId, changes, options = {}) {
+    return sendBookUpdate('PATCH', bookId, changes, options);
+}
+
+// send a full (PUT) or partial (PATCH) update and keep the store in step
+async function sendBookUpdate(method, bookId, bookData, options) {
     update(state => ({ ...state, isLoading: true, error: null }));
     
     try {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (options.version !== undefined && options.version !== null) {
+            headers['If-Match'] = `"${options.version}"`;
+        }
+
         const response = await fetch(`/api/books/${bookId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            method,
+            headers,
             credentials: 'include',
             body: JSON.stringify(bookData)
         });
         
         if (response.ok) {
-            const updatedBook = await response.json();
+            const data = await response.json();
+            const updatedBook = data.book || data; // PUT and PATCH respond with { message, book }
             
             // Update book in the store
             update(state => ({
@@ -147,6 +251,19 @@ async function updateBook(bookId, bookData) {
             }));
             
             return { success: true, book: updatedBook };
+        } else if (response.status === 412) {
+            // edit conflict: the list shows the server's copy from now on,
+            // and the caller decides what to do about the user's changes
+            const errorData = await response.json();
+            update(state => ({
+                ...state,
+                books: state.books.map(book =>
+                    book.id === bookId ? errorData.book : book
+                ),
+                isLoading: false
+            }));
+
+            return { success: false, conflict: true, current: errorData.book, error: errorData.error };
         } else {
             const errorData = await response.json();
             update(state => ({ 
@@ -169,6 +286,271 @@ async function updateBook(bookId, bookData) {
     }
 }
 
+// record reading progress for a book
+// progress is { page } or { percent }; the server may change the status
+// (e.g. to 'read' when the last page is reached), so the returned book
+// replaces the one in the store
+async function updateProgress(bookId, progress) {
+    try {
+        const response = await fetch(`/api/books/${bookId}/progress`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify(progress)
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            
+            update(state => ({
+                ...state,
+                books: state.books.map(book => 
+                    book.id === bookId ? data.book : book
+                ),
+                error: null,
+                lastUpdated: new Date()
+            }));
+            
+            return { success: true, book: data.book };
+        } else {
+            const errorData = await response.json();
+            update(state => ({ 
+                ...state, 
+                error: errorData.error || 'Failed to update progress' 
+            }));
+            
+            return { success: false, error: errorData.error };
+        }
+    } catch (error) {
+        console.error('Update progress error:', error);
+        update(state => ({ 
+            ...state, 
+            error: 'Network error updating progress' 
+        }));
+        
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// get a book's edit history, newest first
+// each revision is { id, changes: { field: { from, to } }, created_at }
+async function fetchHistory(bookId) {
+    try {
+        const response = await fetch(`/api/books/${bookId}/history`, {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            return { success: true, revisions: data.revisions };
+        }
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch history error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// put a book back the way it was before one of its revisions
+// the reverted book replaces the one in the store
+async function revertBook(bookId, revisionId) {
+    try {
+        const response = await fetch(`/api/books/${bookId}/history/${revisionId}/revert`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                books: state.books.map(book =>
+                    book.id === bookId ? data.book : book
+                ),
+                error: null,
+                lastUpdated: new Date()
+            }));
+
+            return { success: true, book: data.book };
+        }
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Revert book error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// fetch the other books in the library that look like the same book
+async function fetchDuplicates(bookId) {
+    try {
+        const response = await fetch(`/api/books/${bookId}/duplicates`, {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            return { success: true, duplicates: data.duplicates };
+        }
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch duplicates error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// merge another book into this one; the other book goes to the trash
+// and drops out of the list, this one is replaced by the merged book
+async function mergeBooks(bookId, sourceId) {
+    try {
+        const response = await fetch(`/api/books/${bookId}/merge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ source_id: sourceId })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                books: state.books
+                    .filter(book => book.id !== sourceId)
+                    .map(book => (book.id === bookId ? data.book : book)),
+                pagination: state.pagination && {
+                    ...state.pagination,
+                    total: Math.max(0, state.pagination.total - 1)
+                },
+                error: null,
+                lastUpdated: new Date()
+            }));
+
+            return { success: true, book: data.book };
+        }
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Merge books error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// import a Goodreads library export (CSV file)
+// the server reports every row as created, duplicate or rejected;
+// the list is reloaded afterwards so imported books show up
+async function importGoodreads(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        const response = await fetch('/api/books/import/goodreads', {
+            method: 'POST',
+            credentials: 'include',
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            if (data.summary.created > 0) {
+                await fetchBooks();
+            }
+            return { success: true, summary: data.summary, rows: data.rows };
+        }
+
+        return { success: false, error: data.details ? `${data.error} (${data.details})` : data.error };
+    } catch (error) {
+        console.error('Import books error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// put a book on a shelf or take it off again
+// the book's shelf_ids are updated in place; when the list is filtered by
+// that shelf a removed book also drops out of the list
+async function setBookOnShelf(bookId, shelfId, onShelf) {
+    try {
+        const response = onShelf
+            ? await fetch(`/api/shelves/${shelfId}/books`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ book_ids: [bookId] })
+            })
+            : await fetch(`/api/shelves/${shelfId}/books/${bookId}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+        if (response.ok) {
+            const data = await response.json();
+
+            update(state => {
+                const droppedFromList = !onShelf && String(state.query.shelf) === String(shelfId);
+                const books = droppedFromList
+                    ? state.books.filter(book => book.id !== bookId)
+                    : state.books.map(book => {
+                        if (book.id !== bookId) {
+                            return book;
+                        }
+                        const shelfIds = (book.shelf_ids || []).filter(id => id !== shelfId);
+                        return { ...book, shelf_ids: onShelf ? [...shelfIds, shelfId] : shelfIds };
+                    });
+
+                return {
+                    ...state,
+                    books,
+                    pagination: droppedFromList && state.pagination
+                        ? { ...state.pagination, total: Math.max(0, state.pagination.total - 1) }
+                        : state.pagination,
+                    error: null,
+                    lastUpdated: new Date()
+                };
+            });
+
+            return { success: true, shelf: data.shelf };
+        } else {
+            const errorData = await response.json();
+            update(state => ({ 
+                ...state, 
+                error: errorData.error || 'Failed to update shelf' 
+            }));
+            
+            return { success: false, error: errorData.error };
+        }
+    } catch (error) {
+        console.error('Update shelf error:', error);
+        update(state => ({ 
+            ...state, 
+            error: 'Network error updating shelf' 
+        }));
+        
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// add a book to a shelf
+async function addToShelf(bookId, shelfId) {
+    return await setBookOnShelf(bookId, shelfId, true);
+}
+
+// remove a book from a shelf
+async function removeFromShelf(bookId, shelfId) {
+    return await setBookOnShelf(bookId, shelfId, false);
+}
+
 // delete a book from the user's collection
 async function deleteBook(bookId) {
     update(state => ({ ...state, isLoading: true, error: null }));
@@ -184,6 +566,10 @@ async function deleteBook(bookId) {
             update(state => ({
                 ...state,
                 books: state.books.filter(book => book.id !== bookId),
+                pagination: state.pagination && {
+                    ...state.pagination,
+                    total: Math.max(0, state.pagination.total - 1)
+                },
                 isLoading: false,
                 error: null,
                 lastUpdated: new Date()
@@ -212,6 +598,46 @@ async function deleteBook(bookId) {
     }
 }
 
+// apply one action to several books at once
+// action is 'set_status', 'add_tag', 'remove_tag', 'move_to_shelf' or 'delete';
+// options carries its parameter ({ status }, { tag } or { shelf_id, from_shelf_id }).
+// the server applies it to all of the books or none, and the list is
+// reloaded afterwards since books may have changed, moved or gone
+async function bulkAction(bookIds, action, options = {}) {
+    try {
+        const response = await fetch('/api/books/bulk', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ book_ids: bookIds, action, ...options })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            await fetchBooks();
+            return { success: true, changed: data.changed };
+        }
+
+        update(state => ({
+            ...state,
+            error: data.error || 'Failed to update books'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Bulk action error:', error);
+        update(state => ({
+            ...state,
+            error: 'Network error updating books'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
 // get a specific book by ID from the store
 function getBookById(bookId) {
     let book = null;
@@ -227,12 +653,7 @@ function getBookById(bookId) {
 
 // clear books from store (e.g., when user logs out)
 function clearBooks() {
-    set({
-        books: [],
-        isLoading: false,
-        error: null,
-        lastUpdated: null
-    });
+    set(initialState);
 }
 
 // clear any error messages
@@ -247,6 +668,18 @@ async function refreshBooks() {
 
 // util functions
 
+// get books on a shelf
+function getBooksByShelf(shelfId) {
+    let filteredBooks = [];
+    
+    const unsubscribe = subscribe(state => {
+        filteredBooks = state.books.filter(book => (book.shelf_ids || []).includes(shelfId));
+    });
+    
+    unsubscribe();
+    return filteredBooks;
+}
+
 // get books filtered by reading status
 function getBooksByStatus(status) {
     let filteredBooks = [];
@@ -259,13 +692,13 @@ function getBooksByStatus(status) {
     return filteredBooks;
 }
 
-// get books filtered by genre
-function getBooksByGenre(genre) {
+// get books carrying a tag
+function getBooksByTag(tag) {
     let filteredBooks = [];
     
     const unsubscribe = subscribe(state => {
         filteredBooks = state.books.filter(book => 
-            book.genre && book.genre.toLowerCase() === genre.toLowerCase()
+            (book.tags || []).some(name => name.toLowerCase() === tag.toLowerCase())
         );
     });
     
@@ -297,30 +730,56 @@ function searchBooks(query) {
 export const booksStore = {
     subscribe,
     fetchBooks,
+    fetchNextPage,
     addBook,
     updateBook,
+    patchBook,
+    updateProgress,
+    fetchHistory,
+    revertBook,
+    fetchDuplicates,
+    mergeBooks,
+    addToShelf,
+    removeFromShelf,
+    importGoodreads,
+    getExportUrl,
     deleteBook,
+    bulkAction,
     getBookById,
     clearBooks,
     clearError,
     refreshBooks,
     // Utility functions
     getBooksByStatus,
-    getBooksByGenre,
+    getBooksByTag,
+    getBooksByShelf,
     searchBooks
 };
 
 // Export individual functions for convenience
 export {
     fetchBooks,
+    fetchNextPage,
     addBook,
     updateBook,
+    patchBook,
+    updateProgress,
+    fetchHistory,
+    revertBook,
+    fetchDuplicates,
+    mergeBooks,
+    addToShelf,
+    removeFromShelf,
+    importGoodreads,
+    getExportUrl,
     deleteBook,
+    bulkAction,
     getBookById,
     clearBooks,
     clearError,
     refreshBooks,
     getBooksByStatus,
-    getBooksByGenre,
+    getBooksByTag,
+    getBooksByShelf,
     searchBooks
 }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Goals Store
+ *  Svelte store for the current user's reading goals.
+ * A goal is so many books or pages in a year or a month; the server works out
+ * the progress and pace from the books finished in the period, so goals are
+ * fetched again whenever the library changes.
+ */
+
+import { writable, get } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    goals: [],           // Array of goals, each with period and progress
+    year: null,          // Year the goals were fetched for (null for all)
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch the user's goals for a year (every goal when year is null)
+async function fetchGoals(year = null) {
+    update(state => ({ ...state, year, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch(year ? `/api/goals?year=${year}` : '/api/goals', {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                goals: data.goals || [],
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, goals: data.goals };
+        }
+
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: data.error || 'Failed to fetch goals'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch goals error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading goals'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// set a goal: { type: 'books' | 'pages', target, year, month (optional) }
+async function createGoal(goalData) {
+    try {
+        const response = await fetch('/api/goals', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify(goalData)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            // refetch rather than insert, so the goals stay in the server's order
+            await fetchGoals(get(goalsStore).year);
+            return { success: true, goal: data.goal };
+        }
+
+        return { success: false, error: data.error || 'Failed to create goal' };
+    } catch (error) {
+        console.error('Create goal error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// change a goal's target
+async function updateGoal(goalId, target) {
+    try {
+        const response = await fetch(`/api/goals/${goalId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ target })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                goals: state.goals.map(goal => goal.id === goalId ? data.goal : goal)
+            }));
+            return { success: true, goal: data.goal };
+        }
+
+        return { success: false, error: data.error || 'Failed to update goal' };
+    } catch (error) {
+        console.error('Update goal error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// delete a goal
+async function deleteGoal(goalId) {
+    try {
+        const response = await fetch(`/api/goals/${goalId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                goals: state.goals.filter(goal => goal.id !== goalId)
+            }));
+            return { success: true };
+        }
+
+        const errorData = await response.json();
+        return { success: false, error: errorData.error || 'Failed to delete goal' };
+    } catch (error) {
+        console.error('Delete goal error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// clear goals from store (e.g., when user logs out)
+function clearGoals() {
+    set(initialState);
+}
+
+// export goals store
+
+export const goalsStore = {
+    subscribe,
+    fetchGoals,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    clearGoals
+};
+
+export {
+    fetchGoals,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    clearGoals
+};
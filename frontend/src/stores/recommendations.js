@@ -0,0 +1,91 @@
+/**
+ * Recommendations Store
+ *  Svelte store for the books suggested to the current user ("readers also
+ * added"). The server works them out from what other readers with books in
+ * common added; a suggestion the user adds to their library is dropped here.
+ */
+
+import { writable } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    recommendations: [], // Suggested works, best first, each with readers and because
+    minReaders: null,    // Fewest readers behind any suggestion
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch the user's recommendations
+async function fetchRecommendations() {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/recommendations', {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                recommendations: data.recommendations || [],
+                minReaders: data.min_readers,
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, recommendations: data.recommendations };
+        }
+
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: data.error || 'Failed to fetch recommendations'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch recommendations error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading recommendations'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// drop a suggestion from the list (e.g. once the user added the book)
+function removeRecommendation(workId) {
+    update(state => ({
+        ...state,
+        recommendations: state.recommendations.filter(recommendation => recommendation.work_id !== workId)
+    }));
+}
+
+// clear recommendations from store (e.g., when user logs out)
+function clearRecommendations() {
+    set(initialState);
+}
+
+// export recommendations store
+
+export const recommendationsStore = {
+    subscribe,
+    fetchRecommendations,
+    removeRecommendation,
+    clearRecommendations
+};
+
+export {
+    fetchRecommendations,
+    removeRecommendation,
+    clearRecommendations
+};
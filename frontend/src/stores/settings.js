@@ -0,0 +1,126 @@
+/**
+ * Settings Store
+ *  Svelte store for the current user's account settings, such as whether
+ * their books count towards the public statistics.
+ */
+
+import { writable } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    settings: null,      // { public_stats_opt_out }
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch the user's settings
+async function fetchSettings() {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/me/settings', {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                settings: data.settings,
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, settings: data.settings };
+        }
+
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: data.error || 'Failed to fetch settings'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch settings error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading settings'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// change some of the user's settings
+async function updateSettings(changes) {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/me/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify(changes)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                settings: data.settings,
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, settings: data.settings };
+        }
+
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: data.error || 'Failed to update settings'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Update settings error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error updating settings'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// clear settings from store (e.g., when user logs out)
+function clearSettings() {
+    set(initialState);
+}
+
+// export settings store
+
+export const settingsStore = {
+    subscribe,
+    fetchSettings,
+    updateSettings,
+    clearSettings
+};
+
+export {
+    fetchSettings,
+    updateSettings,
+    clearSettings
+};
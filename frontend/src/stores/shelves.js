@@ -0,0 +1,207 @@
+/**
+ * Shelves Store
+ *  Svelte store for the current user's shelves.
+ * Shelves are named collections in the user's own order; the MyBooks sidebar
+ * lists them and BookModal uses them for shelf membership.
+ */
+
+import { writable } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    shelves: [],         // Array of { id, name, position, book_count }
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch all shelves for the current user (in their saved order)
+async function fetchShelves() {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/shelves', {
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+
+            update(state => ({
+                ...state,
+                shelves: data.shelves || [],
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, shelves: data.shelves };
+        } else {
+            const errorData = await response.json();
+            update(state => ({
+                ...state,
+                isLoading: false,
+                error: errorData.error || 'Failed to fetch shelves'
+            }));
+
+            return { success: false, error: errorData.error };
+        }
+    } catch (error) {
+        console.error('Fetch shelves error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading shelves'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// create a shelf (added at the end of the list)
+async function createShelf(name) {
+    try {
+        const response = await fetch('/api/shelves', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ name })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                shelves: [...state.shelves, data.shelf]
+            }));
+            return { success: true, shelf: data.shelf };
+        }
+
+        return { success: false, error: data.error || 'Failed to create shelf' };
+    } catch (error) {
+        console.error('Create shelf error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// rename a shelf
+async function renameShelf(shelfId, name) {
+    try {
+        const response = await fetch(`/api/shelves/${shelfId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ name })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                shelves: state.shelves.map(shelf => shelf.id === shelfId ? data.shelf : shelf)
+            }));
+            return { success: true, shelf: data.shelf };
+        }
+
+        return { success: false, error: data.error || 'Failed to rename shelf' };
+    } catch (error) {
+        console.error('Rename shelf error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// delete a shelf (the books on it are kept)
+async function deleteShelf(shelfId) {
+    try {
+        const response = await fetch(`/api/shelves/${shelfId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                shelves: state.shelves.filter(shelf => shelf.id !== shelfId)
+            }));
+            return { success: true };
+        }
+
+        const errorData = await response.json();
+        return { success: false, error: errorData.error || 'Failed to delete shelf' };
+    } catch (error) {
+        console.error('Delete shelf error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// save a new shelf order, shelfIds must list every shelf once
+// the list is reordered straight away and put back if the server refuses
+async function reorderShelves(shelfIds) {
+    let previous = [];
+
+    update(state => {
+        previous = state.shelves;
+        const byId = new Map(state.shelves.map(shelf => [shelf.id, shelf]));
+        return { ...state, shelves: shelfIds.map(id => byId.get(id)).filter(Boolean) };
+    });
+
+    try {
+        const response = await fetch('/api/shelves/order', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ shelf_ids: shelfIds })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({ ...state, shelves: data.shelves }));
+            return { success: true, shelves: data.shelves };
+        }
+
+        update(state => ({ ...state, shelves: previous }));
+        return { success: false, error: data.error || 'Failed to reorder shelves' };
+    } catch (error) {
+        console.error('Reorder shelves error:', error);
+        update(state => ({ ...state, shelves: previous }));
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// clear shelves from store (e.g., when user logs out)
+function clearShelves() {
+    set(initialState);
+}
+
+// export shelves store
+
+export const shelvesStore = {
+    subscribe,
+    fetchShelves,
+    createShelf,
+    renameShelf,
+    deleteShelf,
+    reorderShelves,
+    clearShelves
+};
+
+export {
+    fetchShelves,
+    createShelf,
+    renameShelf,
+    deleteShelf,
+    reorderShelves,
+    clearShelves
+};
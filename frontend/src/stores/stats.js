@@ -0,0 +1,79 @@
+/**
+ * Stats Store
+ *  Svelte store for the current user's reading statistics.
+ * The server works the numbers out from the library, so they are fetched
+ * again each time the My Stats page is opened.
+ */
+
+import { writable } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    stats: null,         // { totals, finished_by_month, finished_by_year, tags, authors, reading_time, pages }
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch the user's reading statistics
+async function fetchStats() {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/me/stats', {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                stats: data,
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, stats: data };
+        }
+
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: data.error || 'Failed to fetch statistics'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch stats error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading statistics'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// clear statistics from store (e.g., when user logs out)
+function clearStats() {
+    set(initialState);
+}
+
+// export stats store
+
+export const statsStore = {
+    subscribe,
+    fetchStats,
+    clearStats
+};
+
+export {
+    fetchStats,
+    clearStats
+};
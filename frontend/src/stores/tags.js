@@ -0,0 +1,136 @@
+/**
+ * Tags Store
+ *  Svelte store for the current user's tags.
+ * Used for tag autocomplete in BookModal and tag filters in MyBooks.
+ */
+
+import { writable } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    tags: [],            // Array of { id, name, book_count }
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch all tags for the current user
+async function fetchTags() {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/tags', {
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+
+            update(state => ({
+                ...state,
+                tags: data.tags || [],
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, tags: data.tags };
+        } else {
+            const errorData = await response.json();
+            update(state => ({
+                ...state,
+                isLoading: false,
+                error: errorData.error || 'Failed to fetch tags'
+            }));
+
+            return { success: false, error: errorData.error };
+        }
+    } catch (error) {
+        console.error('Fetch tags error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading tags'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// rename a tag
+async function renameTag(tagId, name) {
+    try {
+        const response = await fetch(`/api/tags/${tagId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ name })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                tags: state.tags.map(tag => tag.id === tagId ? data.tag : tag)
+            }));
+            return { success: true, tag: data.tag };
+        }
+
+        return { success: false, error: data.error || 'Failed to rename tag' };
+    } catch (error) {
+        console.error('Rename tag error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// delete a tag (books keep everything else)
+async function deleteTag(tagId) {
+    try {
+        const response = await fetch(`/api/tags/${tagId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                tags: state.tags.filter(tag => tag.id !== tagId)
+            }));
+            return { success: true };
+        }
+
+        const errorData = await response.json();
+        return { success: false, error: errorData.error || 'Failed to delete tag' };
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// clear tags from store (e.g., when user logs out)
+function clearTags() {
+    set(initialState);
+}
+
+// export tags store
+
+export const tagsStore = {
+    subscribe,
+    fetchTags,
+    renameTag,
+    deleteTag,
+    clearTags
+};
+
+export {
+    fetchTags,
+    renameTag,
+    deleteTag,
+    clearTags
+};
@@ -0,0 +1,141 @@
+/**
+ * Trash Store
+ *  Svelte store for the current user's deleted books.
+ * Deleted books wait here until they are restored or purged; the server purges
+ * them by itself once retentionDays have passed (0 means it never does).
+ * Restoring or deleting a book changes the library too, so callers reload the
+ * books, tags and shelves stores afterwards.
+ */
+
+import { writable } from 'svelte/store';
+
+// store state
+
+const initialState = {
+    books: [],           // Deleted books, most recently deleted first (with deleted_at)
+    retentionDays: null, // Days a book stays in the trash before it is purged
+    isLoading: false,    // Loading state for operations
+    error: null          // Error message if any
+};
+
+const { subscribe, set, update } = writable(initialState);
+
+// API functions
+
+// fetch the user's deleted books
+async function fetchTrash() {
+    update(state => ({ ...state, isLoading: true, error: null }));
+
+    try {
+        const response = await fetch('/api/books/trash', {
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                books: data.books || [],
+                retentionDays: data.retention_days,
+                isLoading: false,
+                error: null
+            }));
+
+            return { success: true, books: data.books };
+        }
+
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: data.error || 'Failed to fetch trash'
+        }));
+
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error('Fetch trash error:', error);
+        update(state => ({
+            ...state,
+            isLoading: false,
+            error: 'Network error loading trash'
+        }));
+
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// send a request about one or all trashed books and drop them from the list
+// when it succeeds. bookId null means every book (emptying the trash)
+async function changeTrash(url, method, bookId, failureMessage) {
+    try {
+        const response = await fetch(url, {
+            method,
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            update(state => ({
+                ...state,
+                books: bookId === null ? [] : state.books.filter(book => book.id !== bookId),
+                error: null
+            }));
+
+            return { success: true, ...data };
+        }
+
+        update(state => ({ ...state, error: data.error || failureMessage }));
+        return { success: false, error: data.error };
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        update(state => ({ ...state, error: 'Network error' }));
+        return { success: false, error: 'Network error' };
+    }
+}
+
+// put a deleted book back in the library, resolves with the restored book
+async function restoreBook(bookId) {
+    return await changeTrash(`/api/books/trash/${bookId}/restore`, 'POST', bookId, 'Failed to restore book');
+}
+
+// permanently delete a book from the trash
+async function purgeBook(bookId) {
+    return await changeTrash(`/api/books/trash/${bookId}`, 'DELETE', bookId, 'Failed to delete book');
+}
+
+// permanently delete every book in the trash
+async function emptyTrash() {
+    return await changeTrash('/api/books/trash', 'DELETE', null, 'Failed to empty trash');
+}
+
+// clear any error messages
+function clearError() {
+    update(state => ({ ...state, error: null }));
+}
+
+// clear the trash from the store (e.g., when user logs out)
+function clearTrash() {
+    set(initialState);
+}
+
+// export trash store
+
+export const trashStore = {
+    subscribe,
+    fetchTrash,
+    restoreBook,
+    purgeBook,
+    emptyTrash,
+    clearError,
+    clearTrash
+};
+
+export {
+    fetchTrash,
+    restoreBook,
+    purgeBook,
+    emptyTrash,
+    clearError,
+    clearTrash
+};